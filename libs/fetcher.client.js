@@ -14,6 +14,10 @@
  * @module Fetcher
  */
 var REST = require('./util/http.client'),
+    Cache = require('./util/cache'),
+    Scheduler = require('./util/scheduler'),
+    codec = require('./util/codec'),
+    FetchrError = require('./util/error'),
     debug = require('debug')('FetchrClient'),
     _ = {
         forEach :     require('lodash.foreach'),
@@ -27,13 +31,27 @@ var REST = require('./util/http.client'),
         pick :        require('lodash.pick')
     },
     CORE_REQUEST_FIELDS = ['resource', 'operation', 'params', 'body'],
+    // config of the http request, only requests that agree on it are batched together
+    TRANSPORT_CONFIG_FIELDS = ['timeout', 'retry', 'transport', 'sendTimeout', 'unsafeAllowRetry'],
     DEFAULT_GUID = 'g0',
     DEFAULT_XHR_PATH = '/api',
     // By default, wait for 20ms to trigger sweep of the queue, after an item is added to the queue.
     DEFAULT_BATCH_WINDOW = 20,
+    // By default, a batch contains at most 50 requests and 100kb of requests, the default body size limit
+    // of the body-parser middleware.
+    DEFAULT_MAX_BATCH_SIZE = 50,
+    DEFAULT_MAX_BATCH_BYTES = 100000,
+    // By default, cached read results expire after 1 minute.
+    DEFAULT_CACHE_TTL = 60000,
     MAX_URI_LEN = 2048,
     OP_READ = 'read',
-    NAME = 'FetcherClient';
+    // HTTP methods used for mutations in REST mode
+    REST_METHODS = {
+        create: 'post',
+        update: 'put'
+    },
+    NAME = 'FetcherClient',
+    Promise = global.Promise || require('es6-promise').Promise;
 
 function parseResponse(response) {
     if (response && response.responseText) {
@@ -47,11 +65,50 @@ function parseResponse(response) {
     return null;
 }
 
-function jsonifyComplexType(value) {
-    if (_.isArray(value) || _.isObject(value)) {
-        return JSON.stringify(value);
+/**
+ * @method getPriority
+ * @param {Object} request  The request object, see single
+ * @return {String} the priority set in `config.priority`, or 'high' for mutations and 'normal' for reads
+ * @private
+ */
+function getPriority(request) {
+    var priority = request.config && request.config.priority;
+    if (Scheduler.PRIORITIES.indexOf(priority) !== -1) {
+        return priority;
     }
-    return value;
+    return request.operation === OP_READ ? 'normal' : 'high';
+}
+
+/**
+ * @method getByteLength
+ * @param {String} str  The string
+ * @return {Number} the length of the string in bytes once UTF-8 encoded, as sent over the wire
+ * @private
+ */
+function getByteLength(str) {
+    return unescape(encodeURIComponent(str)).length;
+}
+
+/**
+ * Builds a FetchrError from an error returned by REST.  When the middleware responded with
+ * a JSON error, the error is rebuilt from it.
+ * @method createError
+ * @param {Object} err  The error object returned by REST
+ * @return {FetchrError} the error
+ * @private
+ */
+function createError(err) {
+    var parsed = parseResponse(err),
+        error = FetchrError.from(_.isObject(parsed) ? parsed : {
+            message: err.statusText,
+            code: err.statusCode === 408 ? 'timeout' : null
+        });
+    _.forEach(err, function (value, key) {
+        if (!error.hasOwnProperty(key) || key === 'statusCode') {
+            error[key] = value;
+        }
+    });
+    return error;
 }
 
 /**
@@ -113,20 +170,54 @@ Queue.prototype = {
         var self = this;
         this._items.push(item);
 
+        if (this.config.maxItems > 0 && this._items.length >= this.config.maxItems) {
+            // no need to wait for more items
+            return this.flush();
+        }
+
         // setup timer
         if (!this._timer) {
             this._timer = setTimeout(function () {
-                var items = self._items;
-                self._items = [];
-                clearTimeout(self._timer);
-                self._timer = null;
-                items = self._sweep(items);
-                _.forEach(items, function (item) {
-                    self._cb(item);
-                });
+                self.flush();
             }, this.config.wait);
         }
         return this;
+    },
+
+    /**
+     * Sweeps and processes the items in the queue right away.
+     * @method flush
+     * @chainable
+     */
+    flush : function () {
+        var self = this,
+            items = this._items;
+        this._items = [];
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (!items.length) {
+            return this;
+        }
+        items = this._sweep(items);
+        _.forEach(items, function (item) {
+            self._cb(item);
+        });
+        return this;
+    },
+
+    /**
+     * Removes an item that has not been processed yet.
+     * @method remove
+     * @param {Object} item   The item object to be removed from the queue
+     * @return {Boolean} true if the item was in the queue
+     */
+    remove : function (item) {
+        var index = this._items.indexOf(item);
+        if (index === -1) {
+            return false;
+        }
+        this._items.splice(index, 1);
+        return true;
     }
 };
 
@@ -154,17 +245,73 @@ Queue.prototype = {
      * @class FetcherClient
      * @param {object} options congiguration options for Fetcher
      * @param {string} [options.xhrPath="/api"] The path for XHR requests
-     * @param {integer} [options.batchWindow=20] Number of milliseconds to wait to batch requests
+     * @param {Boolean} [options.batch=true] Batch the requests made within the batch window into one request.
+     *                                       A request can opt out with `config.consolidate = false`.
+     * @param {integer} [options.batchWindow=20] Number of milliseconds to wait to batch requests.  Requests are
+     *                                           sent right away if it is 0.
+     * @param {integer} [options.maxBatchSize=50] Max number of requests in a batch
+     * @param {integer} [options.maxBatchBytes=100000] Max size (in bytes of JSON) of the requests in a batch.  A
+     *                                                 request bigger than that is sent on its own.
      * @param {Object} [options.context] The context object.  It can contain current-session/context data.
      * @param {String} [options.context.crumb] The crumb for current session
      * @param {Boolean} [options.requireCrumb = false]  require crumb for current session?
+     * @param {Object} [options.cache] Enables the in-memory cache of read results. Entries of a resource are
+     *                                 invalidated when a create, update or delete on that resource succeeds.
+     *                                 A read can skip the cache with `config.cache = false`.
+     * @param {integer} [options.cache.ttl=60000] Number of milliseconds a read result is cached
+     * @param {integer} [options.cache.maxEntries=100] Max number of cached results. The least recently used
+     *                                                 result is evicted when the cache is full.
+     * @param {Object} [options.cache.resources] Per-resource ttl overrides, e.g. `{user: 5000}`. A ttl of 0
+     *                                           disables the cache for that resource.
+     * @param {Boolean} [options.rest=false] Send create, update and delete operations as `POST`, `PUT` and `DELETE`
+     *                                  requests to `/resource/<name>` instead of in the `requests` envelope. Requires the
+     *                                  `rest` option of the middleware.
+     * @param {String|Function} [options.transport="xhr"] The transport requests are sent with: 'xhr', 'fetch'
+     *                                  or a custom transport function, see util/http.client.  A request can
+     *                                  override it with `config.transport`.
+     * @param {Boolean} [options.sendTimeout] Send the timeout of each request in the X-Fetchr-Timeout header, so
+     *                                  that the server can stop working on requests the client gave up on.
+     *                                  Defaults to true when the requests are sent to a relative url.  For
+     *                                  cross-origin requests, the server must list the header in
+     *                                  Access-Control-Allow-Headers.  A request can override it with
+     *                                  `config.sendTimeout`.
+     * @param {integer} [options.maxConcurrent] Max number of requests sent at the same time.  Unlimited by default.
+     *                                           Waiting requests are sent by priority: `config.priority` can be
+     *                                           'high', 'normal' or 'low', and defaults to 'high' for mutations
+     *                                           and 'normal' for reads.
+     * @param {Array} [options.initialData] Snapshot returned by `dehydrate()` on the server fetcher. Each read
+     *                                      in it is served once from the snapshot instead of the network.
+     *
+     * Identical reads (same endpoint, resource, params and context) that are in flight at the same time are
+     * sent only once. A read can opt out with `config.dedupe = false`.
+     *
+     * Every CRUD call can be aborted, with the `abort()` method of the handle it returns (or of the Promise
+     * when no callback is given), or with an AbortSignal passed as `config.signal`.  The callback of an
+     * aborted request receives a FetchrError with code `aborted`, and no response is passed to it afterwards.
      */
 
     function Fetcher (options) {
         this.options = options || {};
         this.xhrPath = options.xhrPath || DEFAULT_XHR_PATH;
-        this.batchWindow = options.batchWindow || DEFAULT_BATCH_WINDOW;
+        this.batchWindow = options.batchWindow >= 0 ? options.batchWindow : DEFAULT_BATCH_WINDOW;
+        this.maxBatchSize = options.maxBatchSize > 0 ? options.maxBatchSize : DEFAULT_MAX_BATCH_SIZE;
+        this.maxBatchBytes = options.maxBatchBytes > 0 ? options.maxBatchBytes : DEFAULT_MAX_BATCH_BYTES;
         this.context = this.options.context || {};
+        // fail now rather than inside the batch timer
+        REST.getTransport(this.options.transport);
+        this._hooks = [];
+        this._inflight = {};
+        this._scheduler = new Scheduler({maxConcurrent: this.options.maxConcurrent});
+        if (this.options.cache) {
+            this._cache = new Cache(this.options.cache);
+        }
+        this._initialData = new Cache({maxEntries: Infinity});
+        _.forEach(this.options.initialData, function (read) {
+            this._initialData.set(this._getRequestKey({
+                resource: read.resource,
+                params: read.params
+            }), {data: read.data, meta: read.meta}, Infinity, read.resource);
+        }, this);
     }
 
     Fetcher.prototype = {
@@ -172,6 +319,25 @@ Queue.prototype = {
         // Data Access Wrapper Methods
         // ------------------------------------------------------------------
 
+        /**
+         * Registers a hook that intercepts every request made by this instance before it is sent.
+         * Hooks are invoked in the order they were registered.  A hook can modify the request
+         * (e.g. normalize params or add config), wrap `request.callback` to inspect or transform
+         * the response, or end the request early by invoking `request.callback` instead of `next`.
+         * @method use
+         * @param {Function} fn  The hook
+         * @param {Object} fn.request  The request, see single
+         * @param {Function} fn.next   Function to invoke to continue with the next hook and send the request
+         * @chainable
+         */
+        use: function (fn) {
+            if (!_.isFunction(fn)) {
+                throw new Error('Hook must be a function');
+            }
+            this._hooks.push(fn);
+            return this;
+        },
+
         /**
          * create operation (create as in CRUD).
          * @method create
@@ -180,11 +346,13 @@ Queue.prototype = {
          *                           carried in query and matrix parameters in typical REST API
          * @param {Object} body      The JSON object that contains the resource data that is being created
          * @param {Object} config    The "config" object for per-request config data.
-         * @param {Function} callback callback convention is the same as Node.js
+         * @param {Function} [callback] callback convention is the same as Node.js
+         * @returns {Object|Promise} a handle with an `abort()` method, or a Promise resolving to {data, meta}
+         *                           when no callback is given
          * @static
          */
         create: function (resource, params, body, config, callback) {
-            this._sync(resource, 'create', params, body, config, callback);
+            return this._sync(resource, 'create', params, body, config, callback);
         },
 
         /**
@@ -194,11 +362,13 @@ Queue.prototype = {
          * @param {Object} params    The parameters identify the resource, and along with information
          *                           carried in query and matrix parameters in typical REST API
          * @param {Object} config    The "config" object for per-request config data.
-         * @param {Function} callback callback convention is the same as Node.js
+         * @param {Function} [callback] callback convention is the same as Node.js
+         * @returns {Object|Promise} a handle with an `abort()` method, or a Promise resolving to {data, meta}
+         *                           when no callback is given
          * @static
          */
         read: function (resource, params, config, callback) {
-            this._sync(resource, 'read', params, undefined, config, callback);
+            return this._sync(resource, 'read', params, undefined, config, callback);
         },
 
         /**
@@ -209,11 +379,13 @@ Queue.prototype = {
          *                           carried in query and matrix parameters in typical REST API
          * @param {Object} body      The JSON object that contains the resource data that is being updated
          * @param {Object} config    The "config" object for per-request config data.
-         * @param {Function} callback callback convention is the same as Node.js
+         * @param {Function} [callback] callback convention is the same as Node.js
+         * @returns {Object|Promise} a handle with an `abort()` method, or a Promise resolving to {data, meta}
+         *                           when no callback is given
          * @static
          */
         update: function (resource, params, body, config, callback) {
-            this._sync(resource, 'update', params, body, config, callback);
+            return this._sync(resource, 'update', params, body, config, callback);
         },
 
         /**
@@ -223,11 +395,13 @@ Queue.prototype = {
          * @param {Object} params    The parameters identify the resource, and along with information
          *                           carried in query and matrix parameters in typical REST API
          * @param {Object} config    The "config" object for per-request config data.
-         * @param {Function} callback callback convention is the same as Node.js
+         * @param {Function} [callback] callback convention is the same as Node.js
+         * @returns {Object|Promise} a handle with an `abort()` method, or a Promise resolving to {data, meta}
+         *                           when no callback is given
          * @static
          */
         'delete': function (resource, params, config, callback) {
-            this._sync(resource, 'delete', params, undefined, config, callback);
+            return this._sync(resource, 'delete', params, undefined, config, callback);
         },
         /**
          * Sync data with remote API.
@@ -239,38 +413,153 @@ Queue.prototype = {
          * @param {Object} body      The JSON object that contains the resource data that is being updated. Not used
          *                           for read and delete operations.
          * @param {Object} config    The "config" object for per-request config data.
-         * @param {Function} callback callback convention is the same as Node.js
+         * @param {Object} [config.signal] AbortSignal that aborts the request
+         * @param {Function} [callback] callback convention is the same as Node.js
+         * @returns {Object|Promise} a handle with an `abort()` method, or a Promise resolving to {data, meta}
+         *                           when no callback is given.  The Promise has an `abort()` method too.
          * @static
          * @private
          */
         _sync: function (resource, operation, params, body, config, callback) {
+            var self = this,
+                index = 0,
+                finished = false,
+                handle,
+                promise,
+                request;
+
             if (typeof config === 'function') {
                 callback = config;
                 config = {};
             }
 
+            if (!callback) {
+                promise = new Promise(function (resolve, reject) {
+                    handle = self._sync(resource, operation, params, body, config, function (err, data, meta) {
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        resolve({
+                            data: data,
+                            meta: meta || {}
+                        });
+                    });
+                });
+                promise.abort = handle.abort;
+                return promise;
+            }
+
             config = config || {};
             config.xhr = this.xhrPrefix;
+            if (config.transport) {
+                REST.getTransport(config.transport);
+            }
+
+            // the callback is invoked only once, and never after the request is aborted
+            function finish(err, data, meta) {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                if (config.signal && config.signal.removeEventListener) {
+                    config.signal.removeEventListener('abort', abort);
+                }
+                callback(err, data, meta);
+            }
+
+            function abort() {
+                if (finished) {
+                    return;
+                }
+                request.aborted = true;
+                self._cancel(request);
+                finish(new FetchrError('request aborted', {statusCode: 499, code: 'aborted'}));
+            }
+
+            request = {
+                resource: resource,
+                operation: operation,
+                params: params,
+                body: body,
+                config: config,
+                callback: finish,
+                aborted: false
+            };
+            // the network request the request waits for, shared with identical and batched requests
+            request._transfer = {
+                requests: [request],
+                handle: null
+            };
 
+            if (config.signal) {
+                if (config.signal.aborted) {
+                    abort();
+                } else if (config.signal.addEventListener) {
+                    config.signal.addEventListener('abort', abort);
+                }
+            }
+
+            // pass the request through the registered hooks before sending it
+            function next() {
+                var hook = self._hooks[index];
+                index += 1;
+                if (!hook) {
+                    self._dispatch(request);
+                    return;
+                }
+                hook(request, next);
+            }
+            if (!request.aborted) {
+                next();
+            }
+            return {
+                abort: abort
+            };
+        },
+        /**
+         * Send the request right away or push it to the queue so that it can be batched.
+         * @method _dispatch
+         * @param {Object} request  The request object, see single
+         * @private
+         */
+        _dispatch: function (request) {
             var self = this,
-                request = {
-                    resource: resource,
-                    operation: operation,
-                    params: params,
-                    body: body,
-                    config: config,
-                    callback: callback
-                };
+                config = request.config;
+
+            if (request.aborted) {
+                // aborted while passing through the hooks
+                return;
+            }
+
+            if (this._cache && this._useCache(request)) {
+                return;
+            }
 
-            if (!_.isFunction(this.batch) || !config.consolidate) {
+            if (request.operation === OP_READ) {
+                if (this._useInitialData(request)) {
+                    return;
+                }
+            } else {
+                // the snapshot is stale once the resource is mutated
+                this._initialData.removeGroup(request.resource);
+            }
+
+            if (request.operation === OP_READ && config.dedupe !== false && this._joinInflight(request)) {
+                return;
+            }
+
+            if (!_.isFunction(this.batch) || this.options.batch === false || config.consolidate === false ||
+                    (this.options.rest && request.operation !== OP_READ)) {
                 this.single(request);
                 return;
             }
 
             // push request to queue so that it can be batched
             if (!this._q) {
-                this._q = new Queue(this.name, {
-                    wait: Fetcher.batchWindow
+                this._q = new Queue(NAME, {
+                    wait: this.batchWindow,
+                    maxItems: this.maxBatchSize
                 }, function (requests) {
                     return self.batch(requests);
                 }, function (batched) {
@@ -279,6 +568,8 @@ Queue.prototype = {
                     }
                     if (!_.isArray(batched)) {
                         self.single(batched);
+                    } else if (batched.length === 1) {
+                        self.single(batched[0]);
                     } else {
                         self.multi(batched);
                     }
@@ -286,38 +577,228 @@ Queue.prototype = {
             }
             this._q.push(request);
         },
+        /**
+         * Sends the requests waiting for the batch window right away.
+         * @method flush
+         * @chainable
+         */
+        flush: function () {
+            if (this._q) {
+                this._q.flush();
+            }
+            return this;
+        },
+        /**
+         * Cancels the network request an aborted request waits for, once every request waiting for it
+         * was aborted: the request is removed from the queue if it was not sent yet, or the xhr is aborted.
+         * @method _cancel
+         * @param {Object} request  The aborted request, see single
+         * @private
+         */
+        _cancel: function (request) {
+            var self = this,
+                transfer = request._transfer;
+
+            if (!transfer || _.some(transfer.requests, function (r) { return !r.aborted; })) {
+                return;
+            }
+            _.forEach(transfer.requests, function (r) {
+                if (self._q) {
+                    self._q.remove(r);
+                }
+            });
+            _.forEach(this._inflight, function (entry, key) {
+                if (entry.request._transfer === transfer) {
+                    delete self._inflight[key];
+                }
+            });
+            if (transfer.handle) {
+                debug('aborting request for ' + request.resource, 'info', NAME);
+                transfer.handle.abort();
+            }
+        },
+        /**
+         * Removes cached read results of a resource.
+         * @method invalidate
+         * @param {String} resource  The resource name
+         * @param {Object} [params]  The parameters of the read to invalidate. All reads of the resource
+         *                           are invalidated if omitted.
+         * @chainable
+         */
+        invalidate: function (resource, params) {
+            _.forEach([this._cache, this._initialData], function (cache) {
+                if (!cache) {
+                    return;
+                }
+                if (params) {
+                    cache.remove(this._getRequestKey({
+                        resource: resource,
+                        params: params
+                    }));
+                } else {
+                    cache.removeGroup(resource);
+                }
+            }, this);
+            return this;
+        },
         // ------------------------------------------------------------------
         // Helper Methods
         // ------------------------------------------------------------------
+        /**
+         * Builds the key identifying the result of a read request.
+         * @method _getRequestKey
+         * @param {Object} request  The request object, see single
+         * @return {String} the key
+         * @private
+         */
+        _getRequestKey: function (request) {
+            var config = request.config || {},
+                uri = config.uri || config.xhr || this.xhrPath;
+            // id_param only changes the shape of the uri, not the result
+            return this._constructGetUri(uri, request.resource, request.params, {});
+        },
+        /**
+         * Serves a read from the initialData snapshot if it contains it.  Each read of the snapshot
+         * is only served once, later reads go to the network.
+         * @method _useInitialData
+         * @param {Object} request  The request object, see single
+         * @return {Boolean} true if the request was served from the snapshot
+         * @private
+         */
+        _useInitialData: function (request) {
+            var key = this._getRequestKey(request),
+                callback = request.callback,
+                initial = this._initialData.get(key);
+
+            if (!initial) {
+                return false;
+            }
+            debug('serving ' + key + ' from initial data', 'info', NAME);
+            this._initialData.remove(key);
+            // keep the callback asynchronous, as it is for requests going to the network
+            setTimeout(function () {
+                callback(null, initial.data, initial.meta || {});
+            }, 0);
+            return true;
+        },
+        /**
+         * Collapses identical reads that are in flight at the same time into one network request,
+         * whose result is fanned out to the callback of every read.
+         * @method _joinInflight
+         * @param {Object} request  The request object, see single
+         * @return {Boolean} true if an identical read is already in flight, in which case the request
+         *                   must not be sent
+         * @private
+         */
+        _joinInflight: function (request) {
+            var inflight = this._inflight,
+                key = this._getRequestKey(request),
+                entry;
+
+            if (inflight[key]) {
+                debug('joining in-flight request ' + key, 'info', NAME);
+                entry = inflight[key];
+                entry.callbacks.push(request.callback);
+                // the network request is only aborted once every joined request is aborted
+                request._transfer = entry.request._transfer;
+                request._transfer.requests.push(request);
+                return true;
+            }
+
+            entry = inflight[key] = {
+                request: request,
+                callbacks: [request.callback]
+            };
+            request.callback = function (err, data, meta) {
+                if (inflight[key] === entry) {
+                    delete inflight[key];
+                }
+                _.forEach(entry.callbacks, function (callback) {
+                    callback(err, data, meta);
+                });
+            };
+            return false;
+        },
+        /**
+         * Serves a read from the cache if possible, and keeps the cache up to date with the
+         * outcome of the request otherwise.
+         * @method _useCache
+         * @param {Object} request  The request object, see single
+         * @return {Boolean} true if the request was served from the cache
+         * @private
+         */
+        _useCache: function (request) {
+            var self = this,
+                cacheConfig = this.options.cache,
+                resource = request.resource,
+                callback = request.callback,
+                ttl,
+                key,
+                cached;
+
+            if (request.operation !== OP_READ) {
+                request.callback = function (err, data, meta) {
+                    if (!err) {
+                        self._cache.removeGroup(resource);
+                    }
+                    callback(err, data, meta);
+                };
+                return false;
+            }
+
+            ttl = cacheConfig.ttl >= 0 ? cacheConfig.ttl : DEFAULT_CACHE_TTL;
+            if (cacheConfig.resources && cacheConfig.resources[resource] >= 0) {
+                ttl = cacheConfig.resources[resource];
+            }
+            if (!ttl || request.config.cache === false) {
+                return false;
+            }
+
+            key = this._getRequestKey(request);
+            cached = this._cache.get(key);
+            if (cached) {
+                debug('cache hit for ' + key, 'info', NAME);
+                // keep the callback asynchronous, as it is for requests going to the network
+                setTimeout(function () {
+                    callback(null, cached.data, cached.meta);
+                }, 0);
+                return true;
+            }
+
+            request.callback = function (err, data, meta) {
+                if (!err) {
+                    self._cache.set(key, {data: data, meta: meta}, ttl, resource);
+                }
+                callback(err, data, meta);
+            };
+            return false;
+        },
         /**
          * @method _constructGetUri
          * @private
          */
         _constructGetUri: function (uri, resource, params, config) {
-            var query = [], matrix = [], id_param = config.id_param, id_val, final_uri = uri + '/resource/' + resource;
+            var query = [], matrix_params = {}, matrix, id_param = config.id_param, id_val, final_uri = uri + '/resource/' + resource;
             _.forEach(params, function (v, k) {
                 if (k === id_param) {
-                    id_val = encodeURIComponent(v);
+                    id_val = encodeURIComponent(codec.encodeValue(v));
                 } else {
-                    try {
-                        matrix.push(k + '=' + encodeURIComponent(jsonifyComplexType(v)));
-                    } catch (err) {
-                        debug('jsonifyComplexType failed: ' + err, 'info', NAME);
-                    }
+                    matrix_params[k] = v;
                 }
             });
+            matrix = codec.encodeMatrix(matrix_params);
 
             _.forEach(this.context, function (v, k) {
                 // do not include crumb key, if crumb_for_get is false
                 if (k !== 'crumb' || config.requireCrumbForGET) {
-                    query.push(k + '=' + encodeURIComponent(jsonifyComplexType(v)));
+                    query.push(k + '=' + encodeURIComponent(codec.encodeValue(v)));
                 }
             });
             if (id_val) {
                 final_uri += '/' + id_param + '/' + id_val;
             }
-            if (matrix.length > 0) {
-                final_uri += ';' + matrix.sort().join(';');
+            if (matrix) {
+                final_uri += ';' + matrix;
             }
             if (query.length > 0) {
                 final_uri += '?' + query.sort().join('&');
@@ -331,13 +812,68 @@ Queue.prototype = {
         _constructGroupUri: function (uri) {
             var query = [], final_uri = uri;
             _.forEach(this.context, function (v, k) {
-                query.push(k + '=' + encodeURIComponent(v));
+                query.push(k + '=' + encodeURIComponent(codec.encodeValue(v)));
             });
             if (query.length > 0) {
                 final_uri += '?' + query.sort().join('&');
             }
             return final_uri;
         },
+        /**
+         * Builds the config passed to REST for a request.
+         * @method _getRestConfig
+         * @param {Object} config  The config of the request
+         * @param {Object} [defaults]  Defaults overridden by the config of the request
+         * @return {Object} the config, with the transport and sendTimeout options of this instance unless the
+         *                  request sets them
+         * @private
+         */
+        _getRestConfig: function (config, defaults) {
+            return _.merge({
+                transport: this.options.transport,
+                sendTimeout: this.options.sendTimeout
+            }, defaults, config);
+        },
+        /**
+         * Sends a request through the scheduler, which caps the number of requests sent at the same time.
+         * @method _send
+         * @param {String} priority  The priority of the request
+         * @param {Function} send  Function sending the request with REST, once scheduled
+         * @param {Function} send.callback  The callback to pass to REST
+         * @param {Function} callback  Invoked with the (err, response) of REST
+         * @return {Object} handle with an `abort()` method, which also removes the request from the scheduler
+         * @private
+         */
+        _send: function (priority, send, callback) {
+            var scheduler = this._scheduler,
+                handle = null,
+                release,
+                task;
+            task = scheduler.schedule(function (done) {
+                release = done;
+                handle = send(function (err, response) {
+                    // free the slot once the response is handled, even if the callback throws
+                    try {
+                        callback(err, response);
+                    } finally {
+                        done();
+                    }
+                });
+            }, priority);
+            return {
+                abort: function () {
+                    if (!task.started) {
+                        scheduler.cancel(task);
+                        return;
+                    }
+                    if (handle && handle.abort) {
+                        handle.abort();
+                    }
+                    // an aborted request never calls back
+                    release();
+                }
+            };
+        },
         /**
          * @method _isCrumbRequired
          * @private
@@ -373,6 +909,9 @@ Queue.prototype = {
             var context = this.context,
                 config = request.config,
                 callback = request.callback || _.noop,
+                transfer = request._transfer || {},
+                priority = getPriority(request),
+                rest_config,
                 use_post,
                 allow_retry_post,
                 uri = config.uri || config.xhr || this.xhrPath,
@@ -383,7 +922,31 @@ Queue.prototype = {
             if (OP_READ !== request.operation && (this._isCrumbRequired() && !this.context.crumb)) {
                 //Crumb is required but not provided
                 debug('missing crumb');
-                return callback({statusCode: 400, statusText: 'missing crumb'});
+                return callback(new FetchrError('missing crumb', {statusCode: 400, code: 'missing_crumb'}));
+            }
+
+            function handleResponse(err, response) {
+                if (err) {
+                    debug('Syncing ' + request.resource + ' failed: statusCode=' + err.statusCode, 'info', NAME);
+                    return callback(createError(err));
+                }
+                var result = parseResponse(response) || {};
+                callback(null, result.data, result.meta || {});
+            }
+
+            if (this.options.rest && request.operation !== OP_READ) {
+                // the crumb is always sent for mutations
+                uri = this._constructGetUri(uri, request.resource, request.params, _.merge({}, config, {requireCrumbForGET: true}));
+                // like in the requests envelope, mutations are not retried unless the request allows it:
+                // fetchers are not required to be idempotent
+                rest_config = this._getRestConfig(config, config.unsafeAllowRetry ? {} : {retry: {max_retries: 0}});
+                transfer.handle = this._send(priority, function (cb) {
+                    if (request.operation === 'delete') {
+                        return REST['delete'](uri, {}, rest_config, cb);
+                    }
+                    return REST[REST_METHODS[request.operation]](uri, {}, request.body || {}, rest_config, cb);
+                }, handleResponse);
+                return;
             }
 
             use_post = request.operation !== OP_READ || config.post_for_read;
@@ -397,13 +960,10 @@ Queue.prototype = {
             }
 
             if (!use_post) {
-                REST.get(uri, {}, config, function (err, response) {
-                    if (err) {
-                        debug('Syncing ' + request.resource + ' failed: statusCode=' + err.statusCode, 'info', NAME);
-                        return callback(err);
-                    }
-                    callback(null, parseResponse(response));
-                });
+                rest_config = this._getRestConfig(config);
+                transfer.handle = this._send(priority, function (cb) {
+                    return REST.get(uri, {}, rest_config, cb);
+                }, handleResponse);
                 return;
             }
 
@@ -419,10 +979,13 @@ Queue.prototype = {
             }; // TODO: remove. leave here for now for backward compatibility
             uri = this._constructGroupUri(uri);
             allow_retry_post = (request.operation === OP_READ);
-            REST.post(uri, {}, data, _.merge({unsafeAllowRetry: allow_retry_post}, config), function (err, response) {
+            rest_config = this._getRestConfig(config, {unsafeAllowRetry: allow_retry_post});
+            transfer.handle = this._send(priority, function (cb) {
+                return REST.post(uri, {}, data, rest_config, cb);
+            }, function (err, response) {
                 if (err) {
                     debug('Syncing ' + request.resource + ' failed: statusCode=' + err.statusCode, 'info', NAME);
-                    return callback(err);
+                    return callback(createError(err));
                 }
                 var result = parseResponse(response);
                 if (result) {
@@ -430,12 +993,17 @@ Queue.prototype = {
                 } else {
                     result = {};
                 }
-                callback(null, result.data);
+                if (result.err) {
+                    debug('Syncing ' + request.resource + ' failed: statusCode=' + result.err.statusCode, 'info', NAME);
+                    return callback(FetchrError.from(result.err));
+                }
+                callback(null, result.data, result.meta || {});
             });
         },
 
         /**
-         * batch the requests.
+         * batch the requests.  Requests are only batched together if they are sent to the same uri, with the same
+         * `timeout`, `retry`, `transport`, `sendTimeout` and `unsafeAllowRetry` config, which the batch is sent with.
          * @method batch
          * @param {Array} Array of requests objects to be batched. Each request is an object with properties:
          *                             `resource`, `operation, `params`, `body`, `config`, `callback`.
@@ -448,25 +1016,57 @@ Queue.prototype = {
                 return requests;
             }
 
-            var batched,
-                groups = {};
+            var self = this,
+                batched = [],
+                groups = {},
+                functions = [];
+
+            // functions, such as custom transports, are told apart by identity
+            function replaceFunction(key, value) {
+                if (_.isFunction(value)) {
+                    if (functions.indexOf(value) === -1) {
+                        functions.push(value);
+                    }
+                    return 'function:' + functions.indexOf(value);
+                }
+                return value;
+            }
 
             _.forEach(requests, function (request) {
-                var uri, batch, group_id;
+                var uri, batch, transport, group_id;
                 if (request.config) {
                     uri = request.config.uri || request.config.xhr || '';
                     batch = request.config.batch;
+                    transport = JSON.stringify(_.pick(request.config, TRANSPORT_CONFIG_FIELDS), replaceFunction);
                 }
                 group_id = 'uri:' + uri;
                 if (batch) {
                     group_id += ';batch:' + batch;
                 }
+                if (transport && transport !== '{}') {
+                    group_id += ';transport:' + transport;
+                }
                 if (!groups[group_id]) {
                     groups[group_id] = [];
                 }
                 groups[group_id].push(request);
             });
-            batched = _.values(groups);
+            // split the groups into batches within the size limits
+            _.forEach(_.values(groups), function (group) {
+                var current = [],
+                    bytes = 0;
+                _.forEach(group, function (request) {
+                    var size = getByteLength(JSON.stringify(_.pick(request, CORE_REQUEST_FIELDS)));
+                    if (current.length && (current.length >= self.maxBatchSize || bytes + size > self.maxBatchBytes)) {
+                        batched.push(current);
+                        current = [];
+                        bytes = 0;
+                    }
+                    current.push(request);
+                    bytes += size;
+                });
+                batched.push(current);
+            });
 
             if (batched.length < requests.length) {
                 debug(requests.length + ' requests batched into ' + batched.length, 'info', NAME);
@@ -488,6 +1088,13 @@ Queue.prototype = {
                 count = 0,
                 config,
                 allow_retry_post = true,
+                priority = 'low',
+                rest_config,
+                // the batch is only aborted once every request in it is aborted
+                transfer = {
+                    requests: [],
+                    handle: null
+                },
                 request_map = {};
 
             _.some(requests, function (request) {
@@ -502,7 +1109,7 @@ Queue.prototype = {
                 //Crumb is required but not provided
                 _.forEach(requests, function (request) {
                     debug('missing crumb');
-                    request.callback({statusCode: 400, statusText: 'missing crumb'});
+                    request.callback(new FetchrError('missing crumb', {statusCode: 400, code: 'missing_crumb'}));
                 });
                 return;
             }
@@ -518,29 +1125,53 @@ Queue.prototype = {
                 var guid = 'g' + (count++);
                 data.requests[guid] = _.pick(request, CORE_REQUEST_FIELDS);
                 request_map[guid] = request;
+                // the batch is sent with the highest priority of its requests
+                if (Scheduler.PRIORITIES.indexOf(getPriority(request)) < Scheduler.PRIORITIES.indexOf(priority)) {
+                    priority = getPriority(request);
+                }
+                _.forEach(request._transfer ? request._transfer.requests : [request], function (r) {
+                    r._transfer = transfer;
+                    transfer.requests.push(r);
+                });
                 if (request.operation !== OP_READ) {
                     allow_retry_post = false;
                 }
             });
 
             uri = this._constructGroupUri(uri);
-            REST.post(uri, {}, data, _.merge({unsafeAllowRetry: allow_retry_post}, config), function (err, response) {
+            rest_config = this._getRestConfig(config, {unsafeAllowRetry: allow_retry_post});
+            transfer.handle = this._send(priority, function (cb) {
+                return REST.post(uri, {}, data, rest_config, cb);
+            }, function (err, response) {
                 if (err) {
+                    err = createError(err);
                     _.forEach(requests, function (request) {
                         request.callback(err);
                     });
                     return;
                 }
                 var result = parseResponse(response);
-                // split result for requests, so that each request gets back only the data that was originally requested
+                // split result for requests, so that each request gets back only the data that was originally requested.
+                // a failed request carries its own error envelope, which is routed to its callback only.
                 _.forEach(request_map, function (request, guid) {
                     var res = (result && result[guid]) || {};
-                    if (request.callback) {
-                        request.callback(res.err || null, res.data || null);
+                    if (!request.callback) {
+                        return;
                     }
+                    if (res.err) {
+                        debug('Syncing ' + request.resource + ' failed: statusCode=' + res.err.statusCode, 'info', NAME);
+                        request.callback(FetchrError.from(res.err));
+                        return;
+                    }
+                    request.callback(null, res.data || null, res.meta || {});
                 });
             });
         }
     };
 
+    /**
+     * Error class of the errors passed to callbacks, see util/error
+     */
+    Fetcher.FetchrError = FetchrError;
+
     module.exports = Fetcher;
@@ -9,8 +9,558 @@
 var OP_READ = 'read',
     OP_CREATE = 'create',
     OP_UPDATE = 'update',
+    OP_DELETE = 'delete',
+    OPERATIONS = [OP_READ, OP_CREATE, OP_UPDATE, OP_DELETE],
     GET = 'GET',
-    qs = require('querystring');
+    RESOURCE_PATH_PREFIX = '/resource/',
+    // time (in ms) the client waits for the response, sent by the client fetcher
+    TIMEOUT_HEADER = 'x-fetchr-timeout',
+    // operations the HTTP methods map to in REST mode
+    REST_OPERATIONS = {
+        POST: OP_CREATE,
+        PUT: OP_UPDATE,
+        PATCH: OP_UPDATE,
+        DELETE: OP_DELETE
+    },
+    // headers describing a single response, they do not apply to a batch
+    VALIDATOR_HEADERS = ['etag', 'last-modified'],
+    codec = require('./util/codec'),
+    schema = require('./util/schema'),
+    createRemoteFetcher = require('./fetcher.remote'),
+    Scheduler = require('./util/scheduler'),
+    FetchrError = require('./util/error'),
+    Promise = global.Promise || require('es6-promise').Promise,
+    // limit the number of fetchers running at the same time, see acquireSlot
+    globalScheduler = new Scheduler(),
+    resourceSchedulers = {};
+
+/**
+ * Converts an error passed back by a fetcher into a plain object that can be sent
+ * to the client as JSON, see FetchrError and toSafeError.  Custom fields on the error
+ * are preserved, but the stack trace is never exposed.
+ * @method serializeError
+ * @param {Object} err  The error passed to the fetcher callback
+ * @returns {Object} serialized error with `statusCode`, `code`, `message` and `details`
+ * @private
+ */
+function serializeError(err) {
+    return FetchrError.from(toSafeError(err)).toJSON();
+}
+
+/**
+ * Responds to the request with a JSON representation of the error.
+ * @method sendError
+ * @param {Object} res  The res object from express/connect
+ * @param {Object} err  The error
+ * @private
+ */
+function sendError(res, err) {
+    var serialized = serializeError(err);
+    res.status(serialized.statusCode).json(serialized);
+}
+
+/**
+ * Parses the path of a request built by the client fetcher, which has the form
+ * `/resource/<name>[/<id_param>/<id_val>][;<matrix params>]`, or `/resource/<name>/<id>`
+ * in REST mode.
+ * @method parseResourcePath
+ * @param {String} path  The path of the request, relative to where the middleware is mounted
+ * @param {String} [idParam] The param the `<id>` segment is passed as, if REST mode is enabled
+ * @returns {Object|null} the `resource` name and the decoded `params`, or null if the path
+ *                       contains malformed escape sequences
+ * @private
+ */
+function parseResourcePath(path, idParam) {
+    var matrix = path.substr(RESOURCE_PATH_PREFIX.length).split(';'),
+        segments = matrix.shift().split('/'),
+        params;
+
+    try {
+        params = codec.decodeMatrix(matrix.join(';'));
+        if (segments.length === 3) {
+            params[decodeURIComponent(segments[1])] = codec.decodeValue(decodeURIComponent(segments[2]));
+        } else if (segments.length === 2 && idParam) {
+            params[idParam] = codec.decodeValue(decodeURIComponent(segments[1]));
+        }
+    } catch (e) {
+        debug('malformed request path ' + path + ': ' + e.message);
+        return null;
+    }
+    return {
+        resource: segments[0],
+        params: params
+    };
+}
+
+/**
+ * @method isReadOnly
+ * @param {Object} requests  The request hash of a POST request, keyed by guid
+ * @returns {Boolean} true if every request is a read operation
+ * @private
+ */
+function isReadOnly(requests) {
+    return Object.keys(requests).every(function (guid) {
+        return requests[guid] && requests[guid].operation === OP_READ;
+    });
+}
+
+/**
+ * Returns the context sent by the client fetcher.  The context is sent in the query string
+ * for GET requests and both in the query string and in the body for POST requests.
+ * @method getContext
+ * @param {Object} req  The req object from express/connect
+ * @returns {Object} the context
+ * @private
+ */
+function getContext(req) {
+    var context = {},
+        query = req.query || {},
+        bodyContext = (req.body && req.body.context) || {};
+
+    Object.keys(query).forEach(function (key) {
+        context[key] = codec.decodeValue(query[key]);
+    });
+    Object.keys(bodyContext).forEach(function (key) {
+        if (bodyContext[key] !== undefined) {
+            context[key] = bodyContext[key];
+        }
+    });
+    return context;
+}
+
+/**
+ * Sets the headers a fetcher returned in `meta.headers` on the response.
+ * @method setHeaders
+ * @param {Object} res      The res object from express/connect
+ * @param {Object} [headers] The headers, keyed by field name
+ * @private
+ */
+function setHeaders(res, headers) {
+    if (!headers) {
+        return;
+    }
+    Object.keys(headers).forEach(function (field) {
+        res.set(field, headers[field]);
+    });
+}
+
+/**
+ * Returns a copy of the meta returned by a fetcher without its `headers`, so that response
+ * headers, such as Set-Cookie, are never serialized in a response body or in the page.
+ * @method omitHeaders
+ * @param {Object} [meta] The meta returned by the fetcher
+ * @returns {Object} the meta, without headers
+ * @private
+ */
+function omitHeaders(meta) {
+    var result = {};
+    Object.keys(meta || {}).forEach(function (key) {
+        if (key !== 'headers') {
+            result[key] = meta[key];
+        }
+    });
+    return result;
+}
+
+/**
+ * Combines the Cache-Control headers of the requests of a batch into the most restrictive one:
+ * `no-store` if any request sets it, otherwise `private` and `no-cache` if any request sets them,
+ * `public` only if every request sets it and the smallest `max-age`, if every request sets one.
+ * Other directives are dropped.
+ * @method mergeCacheControl
+ * @param {Array} values  The Cache-Control header of each request
+ * @returns {String|null} the combined header, or null if no directive applies to the whole batch
+ * @private
+ */
+function mergeCacheControl(values) {
+    var directives = values.map(function (value) {
+            var parsed = {};
+            String(value).split(',').forEach(function (directive) {
+                var parts = directive.trim().toLowerCase().split('=');
+                parsed[parts[0]] = parts[1] === undefined ? true : parseInt(parts[1], 10);
+            });
+            return parsed;
+        }),
+        result = [],
+        maxAges;
+
+    function some(name) {
+        return directives.some(function (parsed) {
+            return parsed[name] !== undefined;
+        });
+    }
+
+    if (some('no-store')) {
+        return 'no-store';
+    }
+    if (some('private')) {
+        result.push('private');
+    } else if (directives.every(function (parsed) { return parsed.public !== undefined; })) {
+        result.push('public');
+    }
+    if (some('no-cache')) {
+        result.push('no-cache');
+    }
+    maxAges = directives.map(function (parsed) {
+        return parsed['max-age'];
+    });
+    if (maxAges.every(function (maxAge) { return maxAge >= 0; })) {
+        result.push('max-age=' + Math.min.apply(Math, maxAges));
+    }
+    return result.length ? result.join(', ') : null;
+}
+
+/**
+ * Merges the `meta.headers` of every successful request of a batch into one set of
+ * response headers.  `Set-Cookie` values are accumulated across requests and the
+ * Cache-Control headers are combined into the most restrictive one, see mergeCacheControl.
+ * Cache-Control is dropped unless every request of the batch sets it, and ETag and
+ * Last-Modified, which only describe the response of one request, are always dropped.
+ * For any other header the first request (in guid order) that sets it wins.
+ * @method mergeHeaders
+ * @param {Object} headersByGuid  The headers of each successful request, keyed by guid
+ * @param {Number} count  The number of requests in the batch
+ * @returns {Object|null} the merged headers, or null if no request set any
+ * @private
+ */
+function mergeHeaders(headersByGuid, count) {
+    var merged = null,
+        fields = {},
+        cacheControl = [],
+        value;
+
+    Object.keys(headersByGuid).forEach(function (guid) {
+        var headers = headersByGuid[guid];
+        Object.keys(headers).forEach(function (field) {
+            var key = field.toLowerCase(),
+                value = headers[field];
+            if (VALIDATOR_HEADERS.indexOf(key) !== -1) {
+                debug('ignoring header ' + field + ' set by ' + guid + ', it does not apply to the batch');
+                return;
+            }
+            merged = merged || {};
+            if (key === 'set-cookie') {
+                fields[key] = fields[key] || field;
+                merged[fields[key]] = (merged[fields[key]] || []).concat(value);
+            } else if (key === 'cache-control') {
+                fields[key] = fields[key] || field;
+                cacheControl.push(value);
+            } else if (!fields[key]) {
+                fields[key] = field;
+                merged[field] = value;
+            } else {
+                debug('ignoring header ' + field + ' set by ' + guid + ', already set by a previous request');
+            }
+        });
+    });
+    if (cacheControl.length) {
+        value = cacheControl.length === count ? mergeCacheControl(cacheControl) : null;
+        if (value) {
+            merged[fields['cache-control']] = value;
+        } else {
+            debug('ignoring Cache-Control, it does not apply to every request of the batch');
+        }
+    }
+    return merged;
+}
+
+/**
+ * Converts an error passed back by a fetcher, thrown by it or used to reject its Promise, into
+ * an error that is safe to send to the client.  Native errors may carry internal details in their
+ * message, so unless they carry a 4xx `statusCode` they are replaced by a generic error, which keeps
+ * their 5xx `statusCode` or defaults to 500.  FetchrErrors and plain objects are kept.
+ * @method toSafeError
+ * @param {Object} err  The error
+ * @returns {Object} the error to send to the client
+ * @private
+ */
+function toSafeError(err) {
+    if (err instanceof FetchrError || (err && typeof err === 'object' && !(err instanceof Error))) {
+        return err;
+    }
+    if (err instanceof Error && err.statusCode >= 400 && err.statusCode < 500) {
+        return err;
+    }
+    debug('fetcher failed: ' + (err && err.stack ? err.stack : err));
+    return new FetchrError('internal error', {
+        statusCode: err && err.statusCode >= 500 && err.statusCode < 600 ? err.statusCode : 500,
+        code: 'internal_error'
+    });
+}
+
+/**
+ * @method createMissingError
+ * @returns {FetchrError} the error passed to the callback when a fetcher throws or rejects without a value
+ * @private
+ */
+function createMissingError() {
+    return new FetchrError('internal error', {statusCode: 500, code: 'internal_error'});
+}
+
+/**
+ * Validates the params and body of a request against the schemas the fetcher declares for
+ * the operation, e.g. `{read: {params: {...}}, create: {body: {...}}}`, see the schema module.
+ * The params and body of the request are replaced by their coerced copies.
+ * @method validateRequest
+ * @param {Object} fetcher  The fetcher
+ * @param {Object} request  The request object, see Fetcher.single
+ * @returns {FetchrError|null} a 400 error listing the field errors in `details.errors`, if any
+ * @private
+ */
+function validateRequest(fetcher, request) {
+    var schemas = fetcher.schemas && fetcher.schemas[request.operation],
+        errors = [],
+        result;
+    if (!schemas) {
+        return null;
+    }
+    if (schemas.params) {
+        result = schema.validate(schemas.params, request.params, 'params');
+        request.params = result.value;
+        errors = errors.concat(result.errors);
+    }
+    if (schemas.body && ((request.operation === OP_CREATE) || (request.operation === OP_UPDATE))) {
+        result = schema.validate(schemas.body, request.body, 'body');
+        request.body = result.value;
+        errors = errors.concat(result.errors);
+    }
+    if (!errors.length) {
+        return null;
+    }
+    return new FetchrError('invalid request', {
+        statusCode: 400,
+        code: 'invalid_request',
+        details: {errors: errors}
+    });
+}
+
+/**
+ * Reads the time the client waits for the response from the X-Fetchr-Timeout header.
+ * @method getDeadline
+ * @param {Object} req  The request object from express/connect
+ * @returns {Number|null} the time (in ms since epoch) after which the client gives up, if any
+ * @private
+ */
+function getDeadline(req) {
+    var timeout = parseInt(req.headers && req.headers[TIMEOUT_HEADER], 10);
+    return timeout > 0 ? Date.now() + timeout : null;
+}
+
+/**
+ * Runs a function once a slot is free both for the resource, see the `maxConcurrent` property
+ * of fetchers, and for all resources, see Fetcher.maxConcurrent.
+ * @method acquireSlot
+ * @param {String} name  The resource name
+ * @param {Object} fetcher  The fetcher
+ * @param {Function} fn  The function to run
+ * @param {Function} fn.release  Function to invoke to free the slots
+ * @returns {Function} function that gives up waiting for the slots.  It returns false if fn already runs.
+ * @private
+ */
+function acquireSlot(name, fetcher, fn) {
+    var resourceScheduler = resourceSchedulers[name],
+        resourceTask,
+        globalTask = null,
+        releaseResource = null,
+        started = false;
+    if (!resourceScheduler) {
+        resourceScheduler = resourceSchedulers[name] = new Scheduler();
+    }
+    // the limits are read on every request, so that they can be changed at any time
+    resourceScheduler.maxConcurrent = fetcher.maxConcurrent > 0 ? fetcher.maxConcurrent : Infinity;
+    globalScheduler.maxConcurrent = Fetcher.maxConcurrent > 0 ? Fetcher.maxConcurrent : Infinity;
+    resourceTask = resourceScheduler.schedule(function (release) {
+        releaseResource = release;
+        globalTask = globalScheduler.schedule(function (releaseGlobal) {
+            started = true;
+            fn(function () {
+                releaseGlobal();
+                releaseResource();
+            });
+        });
+    });
+    return function () {
+        if (started) {
+            return false;
+        }
+        if (globalTask) {
+            // holding the slot of the resource, waiting for a global one
+            globalScheduler.cancel(globalTask);
+            releaseResource();
+        } else {
+            resourceScheduler.cancel(resourceTask);
+        }
+        return true;
+    };
+}
+
+/**
+ * Invokes the CRUD method of the fetcher registered for the request's resource.
+ * The callback is invoked with a 404 error if the resource is unknown, with a 405 error
+ * if the fetcher does not support the operation, with the error the fetcher throws, and with a 504 error if the fetcher does not complete within its timeout
+ * or before the deadline of the request.  The timeout includes the time spent waiting for
+ * a slot: a request still waiting when it expires is not run.
+ * It is never invoked more than once, later invocations by the fetcher are ignored.  The slots
+ * of the fetcher, see acquireSlot, are held until it completes, even if it timed out, so that
+ * the limits hold when a downstream service hangs.
+ * @method callFetcher
+ * @param {Object} request  The request object, see Fetcher.single
+ * @private
+ */
+function callFetcher(request) {
+    var name = String(request.resource || '').split('.')[0],
+        fetcher = Fetcher.fetchers[name],
+        op = request.operation,
+        called = false,
+        release = null,
+        timer = null,
+        respond = function (err, data, meta) {
+            if (called) {
+                debug('ignoring late or repeated callback for ' + request.resource);
+                return;
+            }
+            called = true;
+            clearTimeout(timer);
+            request.callback(err, data, meta);
+        },
+        callback = function (err, data, meta) {
+            if (release) {
+                release();
+            }
+            respond(err, data, meta);
+        },
+        validationError,
+        args,
+        timeout,
+        timeoutError,
+        deadlineError,
+        remaining,
+        cancelSlot;
+
+    if (!name || !fetcher) {
+        callback(new FetchrError('unknown resource ' + name, {statusCode: 404, code: 'unknown_resource'}));
+        return;
+    }
+
+    if (OPERATIONS.indexOf(op) === -1 || typeof fetcher[op] !== 'function') {
+        callback(new FetchrError('unsupported operation ' + op + ' on ' + name,
+            {statusCode: 405, code: 'unsupported_operation'}));
+        return;
+    }
+
+    validationError = validateRequest(fetcher, request);
+    if (validationError) {
+        callback(validationError);
+        return;
+    }
+
+    args = [request.req, request.resource, request.params, request.config, callback];
+    if ((op === OP_CREATE) || (op === OP_UPDATE)) {
+        args.splice(3, 0, request.body);
+    }
+
+    timeout = fetcher.timeout > 0 ? fetcher.timeout : (Fetcher.timeout > 0 ? Fetcher.timeout : 0);
+    timeoutError = new FetchrError('fetcher timed out', {statusCode: 504, code: 'timeout'});
+    if (request.deadline) {
+        // the client has given up on the request
+        deadlineError = new FetchrError('deadline exceeded', {statusCode: 504, code: 'deadline_exceeded'});
+        remaining = request.deadline - Date.now();
+        if (remaining <= 0) {
+            debug(request.resource + ' not run, deadline exceeded');
+            callback(deadlineError);
+            return;
+        }
+        if (timeout <= 0 || remaining < timeout) {
+            timeout = remaining;
+            timeoutError = deadlineError;
+        }
+    }
+
+    cancelSlot = acquireSlot(name, fetcher, function (releaseSlot) {
+        var result;
+
+        release = releaseSlot;
+        try {
+            result = fetcher[op].apply(fetcher, args);
+        } catch (e) {
+            if (called) {
+                // thrown by the callback, not by the fetcher
+                throw e;
+            }
+            callback(e || createMissingError());
+            return;
+        }
+
+        // fetchers can return a Promise resolving to {data, meta} instead of invoking the callback
+        if (result && typeof result.then === 'function') {
+            result.then(function (res) {
+                res = res || {};
+                callback(null, res.data, res.meta);
+            }, function (err) {
+                callback(err || createMissingError());
+            });
+        }
+    });
+
+    if (timeout > 0 && !called) {
+        timer = setTimeout(function () {
+            if (cancelSlot()) {
+                debug(request.resource + ' timed out after ' + timeout + 'ms waiting for a slot');
+            } else {
+                // the slots are freed once the fetcher calls back
+                debug(request.resource + ' timed out after ' + timeout + 'ms');
+            }
+            respond(timeoutError);
+        }, timeout);
+    }
+}
+
+/**
+ * Runs a request created by one of the CRUD methods.  When no callback is given,
+ * a Promise resolving to `{data: data, meta: meta}` is returned instead.
+ * @method executeRequest
+ * @param {Object} request  The request object, see Fetcher.single
+ * @param {Function} [onSuccess] Invoked with data and meta when the request succeeds, before the callback
+ * @returns {Promise|undefined} a Promise if no callback was provided
+ * @private
+ */
+function executeRequest(request, onSuccess) {
+    var callback;
+
+    if (typeof request.config === 'function') {
+        request.callback = request.config;
+        request.config = {};
+    }
+
+    if (request.callback && onSuccess) {
+        callback = request.callback;
+        request.callback = function (err, data, meta) {
+            if (!err) {
+                onSuccess(data, meta);
+            }
+            callback(err, data, meta);
+        };
+    }
+
+    if (request.callback) {
+        Fetcher.single(request);
+        return;
+    }
+
+    return new Promise(function (resolve, reject) {
+        request.callback = function (err, data, meta) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve({
+                data: data,
+                meta: meta || {}
+            });
+        };
+        executeRequest(request, onSuccess);
+    });
+}
 
 /*
  * @module createFetcherClass
@@ -23,16 +573,45 @@ var OP_READ = 'read',
      * @class Fetcher
      * @param {Object} options congiguration options for Fetcher
      * @param {Object} [options.req] The request object.  It can contain per-request/context data.
+     * @param {Object} [options.context] The context (e.g. lang, site) passed to fetchers as `config.context`,
+     *                                   like the context sent by the client fetcher.
      * @param {string} [options.xhrPath="/api"] The path for XHR requests. Will be ignored serverside.
+     * @param {Boolean} [options.dehydrate=false] Records the successful reads made with this instance, see dehydrate.
+     *                                   Only enable it for instances created per request, since the reads are kept
+     *                                   as long as the instance.
      * @constructor
      */
     function Fetcher(options) {
         this.options = options || {};
         this.req = this.options.req || {};
+        this._reads = [];
     }
 
     Fetcher.fetchers = {};
 
+    /**
+     * Error class that fetchers can throw or pass back, see util/error
+     */
+    Fetcher.FetchrError = FetchrError;
+
+    /**
+     * list of hooks registered with Fetcher.use
+     */
+    Fetcher.hooks = [];
+
+    /**
+     * Max number of fetchers running at the same time, across all resources.  Unlimited by default.
+     * Fetchers can set their own limit with a `maxConcurrent` property.
+     */
+    Fetcher.maxConcurrent = 0;
+
+    /**
+     * Time (in ms) after which a running fetcher fails with a 504 error, if it has not called back.
+     * The fetcher keeps its slot until it calls back.  No timeout by default.  Fetchers can set their
+     * own timeout with a `timeout` property.
+     */
+    Fetcher.timeout = 0;
+
     /**
      * @method registerFetcher
      * @memberof Fetcher
@@ -50,6 +629,22 @@ var OP_READ = 'read',
         return;
     };
 
+    /**
+     * Registers a resource served by another service mounting the Fetchr middleware.  Its CRUD
+     * calls are sent to that service in the `requests`/`context` envelope, along with selected
+     * headers of `req`.
+     * @method registerRemoteFetcher
+     * @memberof Fetcher
+     * @param {Object} options  See fetcher.remote
+     * @param {String} options.name  The resource name
+     * @param {String} options.url  The url the remote middleware is mounted on, e.g. 'http://users:3000/api'
+     * @param {Array} [options.forwardHeaders=['cookie', 'x-request-id']] Headers forwarded from `req`
+     * @param {Number} [options.timeout=3000] Timeout (in ms) of the requests to the remote service
+     */
+    Fetcher.registerRemoteFetcher = function (options) {
+        Fetcher.registerFetcher(createRemoteFetcher(options));
+    };
+
     /**
      * @method getFetcher
      * @memberof Fetcher
@@ -64,45 +659,118 @@ var OP_READ = 'read',
         return Fetcher.fetchers[name];
     };
 
+    /**
+     * Registers a hook that wraps the execution of every request going through Fetcher.single,
+     * both from the middleware and from direct server-side calls.  Hooks are invoked in the
+     * order they were registered.  A hook can modify the request (e.g. normalize params), wrap
+     * `request.callback` to inspect or transform the response, or end the request early by
+     * invoking `request.callback` instead of `next`.
+     * @method use
+     * @memberof Fetcher
+     * @param {Function} fn  The hook
+     * @param {Object} fn.request  The request, see Fetcher.single
+     * @param {Function} fn.next   Function to invoke to continue with the next hook or the fetcher
+     */
+    Fetcher.use = function (fn) {
+        if (typeof fn !== 'function') {
+            throw new Error('Hook must be a function');
+        }
+        Fetcher.hooks.push(fn);
+    };
+
     /**
      * @method middleware
      * @memberof Fetcher
+     * @param {Object} [options] configuration options for the middleware
+     * @param {Function} [options.validateCrumb] Validates the crumb sent by the client.  It is invoked
+     *                   with the req object and the crumb (undefined if none was sent) and must return
+     *                   true if the crumb is valid.  Requests containing a create, update or delete
+     *                   operation are rejected with 403 before any fetcher runs if it returns false.
+     * @param {Boolean} [options.rest=false] Enables the REST routes: `POST`, `PUT`, `PATCH` and `DELETE` requests to
+     *                   `/resource/<name>[/<id>]` are mapped to create, update, update and delete operations, with the
+     *                   request body as `body`.  POST requests to any other path still use the `requests` envelope.
+     * @param {String} [options.idParam="id"] In REST mode, the param the `<id>` path segment is passed as.
      * @returns {Function} middleware
      *     @param {Object} req
      *     @param {Object} res
      *     @param {Object} next
      */
-    Fetcher.middleware = function () {
+    Fetcher.middleware = function (options) {
+        options = options || {};
         return function (req, res, next) {
-            var request;
+            var context = getContext(req),
+                deadline = getDeadline(req),
+                request;
+
+            if (req.method === GET || (options.rest && req.path.indexOf(RESOURCE_PATH_PREFIX) === 0)) {
+                var operation = req.method === GET ? OP_READ : REST_OPERATIONS[req.method],
+                    resourcePath = parseResourcePath(req.path, options.rest ? (options.idParam || 'id') : null);
+
+                if (!resourcePath) {
+                    sendError(res, new FetchrError('malformed request path', {statusCode: 400, code: 'invalid_request'}));
+                    return;
+                }
+
+                if (!operation) {
+                    sendError(res, new FetchrError('method not allowed', {statusCode: 405, code: 'method_not_allowed'}));
+                    return;
+                }
+
+                if (options.validateCrumb && operation !== OP_READ &&
+                        !options.validateCrumb(req, context.crumb)) {
+                    debug('invalid crumb');
+                    sendError(res, new FetchrError('invalid crumb', {statusCode: 403, code: 'invalid_crumb'}));
+                    return;
+                }
 
-            if (req.method === GET) {
-                var path = req.path.substr('/resource/'.length).split(';');
                 request = {
                     req: req,
-                    resource: path.shift(),
-                    operation: OP_READ,
-                    params: qs.parse(path.join('&')),
+                    resource: resourcePath.resource,
+                    operation: operation,
+                    params: resourcePath.params,
+                    body: req.body || {},
                     config: {},
+                    context: context,
+                    deadline: deadline,
                     callback: function (err, data, meta) {
                         if (err) {
-                            res.status(err.statusCode || 400).send(err.message || 'request failed');
+                            sendError(res, err);
                             return;
                         }
                         meta = meta || {};
-                        res.status(meta.statusCode || 200).json(data);
+                        setHeaders(res, meta.headers);
+                        res.status(meta.statusCode || 200).json({
+                            data: data,
+                            meta: omitHeaders(meta)
+                        });
                     }
                 };
             } else {
-                var requests = req.body.requests;
+                var requests = req.body.requests,
+                    guids = requests ? Object.keys(requests) : [];
 
-                if (!requests || Object.keys(requests).length === 0) {
+                if (guids.length === 0) {
                     res.status(400).end();
                     return;
                 }
 
-                var DEFAULT_GUID = 'g0',
-                    singleRequest = requests[DEFAULT_GUID];
+                if (options.validateCrumb && !isReadOnly(requests) &&
+                        !options.validateCrumb(req, context.crumb)) {
+                    debug('invalid crumb');
+                    sendError(res, new FetchrError('invalid crumb', {statusCode: 403, code: 'invalid_crumb'}));
+                    return;
+                }
+
+                if (guids.length > 1) {
+                    Fetcher.multi(req, requests, context, deadline, function (responseObj, headers) {
+                        setHeaders(res, headers);
+                        res.status(200).json(responseObj);
+                    });
+                    return;
+                }
+
+                var guid = guids[0],
+                    singleRequest = requests[guid] || {};
                 request = {
                     req: req,
                     resource: singleRequest.resource,
@@ -110,21 +778,26 @@ var OP_READ = 'read',
                     params: singleRequest.params,
                     body: singleRequest.body || {},
                     config: singleRequest.config,
+                    context: context,
+                    deadline: deadline,
                     callback: function(err, data, meta) {
                         if(err) {
-                            res.status(err.statusCode || 400).send(err.message || 'request failed');
+                            sendError(res, err);
                             return;
                         }
                         meta = meta || {};
+                        setHeaders(res, meta.headers);
                         var responseObj = {};
-                        responseObj[DEFAULT_GUID] = {data: data};
+                        responseObj[guid] = {
+                            data: data,
+                            meta: omitHeaders(meta)
+                        };
                         res.status(meta.statusCode || 200).json(responseObj);
                     }
                 };
             }
 
             Fetcher.single(request);
-            // TODO: Batching and multi requests
         };
     };
 
@@ -134,7 +807,7 @@ var OP_READ = 'read',
     // ------------------------------------------------------------------
 
     /**
-     * Execute a single request.
+     * Execute a single request, passing it through the hooks registered with Fetcher.use first.
      * @method single
      * @memberof Fetcher
      * @param {Object} request
@@ -146,34 +819,117 @@ var OP_READ = 'read',
      * @param {Object} request.body      The JSON object that contains the resource data that is being updated. Not used
      *                                   for read and delete operations.
      * @param {Object} request.config    The config object.  It can contain "config" for per-request config data.
-     * @param {Fetcher~fetcherCallback} request.callback callback invoked when fetcher is complete.
+     * @param {Object} [request.context] The context (e.g. lang, site) of the request.  It is passed to the fetcher
+     *                                   as `config.context`.
+     * @param {Number} [request.deadline] Time (in ms since epoch) after which the client gives up on the request.
+     *                                   It is passed to the fetcher as `config.deadline`, and the request fails
+     *                                   with a 504 error once it is reached.
+     * @param {Fetcher~fetcherCallback} request.callback callback invoked when fetcher is complete.  Fetchers can
+     *                                   also return a Promise resolving to `{data: data, meta: meta}` instead.
      * @protected
      * @static
      */
     Fetcher.single = function (request) {
         debug(request.resource);
-        var fetcher = Fetcher.getFetcher(request.resource.split('.')[0]),
-            op = request.operation,
-            req = request.req,
-            resource = request.resource,
-            params = request.params,
-            body = request.body,
-            config = request.config,
-            callback = request.callback,
-            args;
-
-        if (typeof config === 'function') {
-            callback = config;
-            config = {};
+        var index = 0,
+            config;
+
+        if (typeof request.config === 'function') {
+            request.callback = request.config;
+            request.config = {};
         }
 
-        args = [req, resource, params, config, callback];
+        if (request.context || request.deadline) {
+            config = {};
+            Object.keys(request.config || {}).forEach(function (key) {
+                config[key] = request.config[key];
+            });
+            if (request.context) {
+                config.context = config.context || request.context;
+            }
+            if (request.deadline) {
+                config.deadline = request.deadline;
+            }
+            request.config = config;
+        }
 
-        if ((op === OP_CREATE) || (op === OP_UPDATE)) {
-            args.splice(3, 0, body);
+        function next() {
+            var hook = Fetcher.hooks[index];
+            index += 1;
+            if (!hook) {
+                callFetcher(request);
+                return;
+            }
+            hook(request, next);
         }
 
-        fetcher[op].apply(fetcher, args);
+        next();
+    };
+
+
+    /**
+     * Execute a batch of requests concurrently.  Each request is run through
+     * Fetcher.single and its outcome is stored under the request's guid, so
+     * that a failing request does not affect the others.
+     * @method multi
+     * @memberof Fetcher
+     * @param {Object} req       The req object from express/connect
+     * @param {Object} requests  The request hash, keyed by guid (g0, g1, ...).  Each item has
+     *                           `resource`, `operation`, `params`, `body` and `config`.
+     * @param {Object} context   The context sent by the client
+     * @param {Number|null} deadline  Time (in ms since epoch) after which the client gives up on the requests,
+     *                           see Fetcher.single
+     * @param {Function} callback callback invoked once every request is complete
+     * @param {Object} callback.responseObj  Results keyed by guid. Each item is either
+     *                           `{data: data, meta: meta}` or `{err: err}`.  The meta does not include headers.
+     * @param {Object|null} callback.headers  The `meta.headers` of every request merged into one set of
+     *                           response headers, or null if no request set any
+     * @protected
+     * @static
+     */
+    Fetcher.multi = function (req, requests, context, deadline, callback) {
+        var guids = Object.keys(requests),
+            pending = guids.length,
+            responseObj = {},
+            headersByGuid = {};
+
+        guids.forEach(function (guid) {
+            var singleRequest = requests[guid] || {};
+            Fetcher.single({
+                req: req,
+                resource: singleRequest.resource,
+                operation: singleRequest.operation,
+                params: singleRequest.params,
+                body: singleRequest.body || {},
+                config: singleRequest.config,
+                context: context,
+                deadline: deadline,
+                callback: function (err, data, meta) {
+                    if (responseObj[guid]) {
+                        debug('callback invoked more than once for ' + guid);
+                        return;
+                    }
+                    if (err) {
+                        responseObj[guid] = {
+                            err: serializeError(err)
+                        };
+                    } else {
+                        meta = meta || {};
+                        if (meta.headers) {
+                            headersByGuid[guid] = meta.headers;
+                        }
+                        responseObj[guid] = {
+                            data: data,
+                            meta: omitHeaders(meta)
+                        };
+                    }
+                    pending -= 1;
+                    if (pending === 0) {
+                        callback(responseObj, mergeHeaders(headersByGuid, guids.length));
+                    }
+                }
+            });
+        });
     };
 
 
@@ -189,19 +945,32 @@ var OP_READ = 'read',
      * @param {Object} params    The parameters identify the resource, and along with information
      *                           carried in query and matrix parameters in typical REST API
      * @param {Object} [config={}] The config object.  It can contain "config" for per-request config data.
-     * @param {Fetcher~fetcherCallback} callback callback invoked when fetcher is complete.
+     * @param {Fetcher~fetcherCallback} [callback] callback invoked when fetcher is complete.
+     * @returns {Promise|undefined} a Promise resolving to {data, meta} when no callback is given
      * @static
      */
     Fetcher.prototype.read = function (resource, params, config, callback) {
-        var request = {
-            req: this.req,
-            resource: resource,
-            operation: 'read',
-            params: params,
-            config: config,
-            callback: callback
-        };
-        Fetcher.single(request);
+        var reads = this._reads,
+            request = {
+                req: this.req,
+                context: this.options.context,
+                resource: resource,
+                operation: 'read',
+                params: params,
+                config: config,
+                callback: callback
+            };
+        if (!this.options.dehydrate) {
+            return executeRequest(request);
+        }
+        return executeRequest(request, function (data, meta) {
+            reads.push({
+                resource: resource,
+                params: params,
+                data: data,
+                meta: omitHeaders(meta)
+            });
+        });
     };
     /**
      * create operation (create as in CRUD).
@@ -212,12 +981,14 @@ var OP_READ = 'read',
      *                           carried in query and matrix parameters in typical REST API
      * @param {Object} body      The JSON object that contains the resource data that is being created
      * @param {Object} [config={}] The config object.  It can contain "config" for per-request config data.
-     * @param {Fetcher~fetcherCallback} callback callback invoked when fetcher is complete.
+     * @param {Fetcher~fetcherCallback} [callback] callback invoked when fetcher is complete.
+     * @returns {Promise|undefined} a Promise resolving to {data, meta} when no callback is given
      * @static
      */
     Fetcher.prototype.create = function (resource, params, body, config, callback) {
         var request = {
             req: this.req,
+            context: this.options.context,
             resource: resource,
             operation: 'create',
             params: params,
@@ -225,7 +996,7 @@ var OP_READ = 'read',
             config: config,
             callback: callback
         };
-        Fetcher.single(request);
+        return executeRequest(request);
     };
     /**
      * update operation (update as in CRUD).
@@ -236,12 +1007,14 @@ var OP_READ = 'read',
      *                           carried in query and matrix parameters in typical REST API
      * @param {Object} body      The JSON object that contains the resource data that is being updated
      * @param {Object} [config={}] The config object.  It can contain "config" for per-request config data.
-     * @param {Fetcher~fetcherCallback} callback callback invoked when fetcher is complete.
+     * @param {Fetcher~fetcherCallback} [callback] callback invoked when fetcher is complete.
+     * @returns {Promise|undefined} a Promise resolving to {data, meta} when no callback is given
      * @static
      */
     Fetcher.prototype.update = function (resource, params, body, config, callback) {
         var request = {
             req: this.req,
+            context: this.options.context,
             resource: resource,
             operation: 'update',
             params: params,
@@ -249,7 +1022,7 @@ var OP_READ = 'read',
             config: config,
             callback: callback
         };
-        Fetcher.single(request);
+        return executeRequest(request);
     };
     /**
      * delete operation (delete as in CRUD).
@@ -259,19 +1032,34 @@ var OP_READ = 'read',
      * @param {Object} params    The parameters identify the resource, and along with information
      *                           carried in query and matrix parameters in typical REST API
      * @param {Object} [config={}] The config object.  It can contain "config" for per-request config data.
-     * @param {Fetcher~fetcherCallback} callback callback invoked when fetcher is complete.
+     * @param {Fetcher~fetcherCallback} [callback] callback invoked when fetcher is complete.
+     * @returns {Promise|undefined} a Promise resolving to {data, meta} when no callback is given
      * @static
      */
     Fetcher.prototype['delete'] = function (resource, params, config, callback) {
         var request = {
             req: this.req,
+            context: this.options.context,
             resource: resource,
             operation: 'delete',
             params: params,
             config: config,
             callback: callback
         };
-        Fetcher.single(request);
+        return executeRequest(request);
+    };
+
+    /**
+     * Returns a serializable snapshot of every successful read made with this instance, so that
+     * the client fetcher can be created with it (see the `initialData` option of the client) and
+     * serve the same reads without going to the network.  Response headers are not included.
+     * Reads are only recorded when the instance is created with the `dehydrate` option.
+     * @method dehydrate
+     * @memberof Fetcher.prototype
+     * @returns {Array} the reads, each item is an object with `resource`, `params`, `data` and `meta`
+     */
+    Fetcher.prototype.dehydrate = function () {
+        return this._reads.slice();
     };
 
     module.exports = Fetcher;
@@ -279,9 +1067,20 @@ var OP_READ = 'read',
 /**
  * @callback Fetcher~fetcherCallback
  * @param {Object} err  The request error, pass null if there was no error. The data and meta parameters will be ignored if this parameter is not null.
+ *                      It can be a FetchrError or any object with the following fields, and is sent to the client as JSON.
+ *                      Other errors, e.g. native Errors, are sent to the client as a generic 500 error (or 5xx, if
+ *                      they carry one) unless they carry a 4xx statusCode.  Direct calls on the server get them as is.
  * @param {number} [err.statusCode=400] http status code to return
- * @param {string} [err.message=request failed] http response body
+ * @param {string} [err.message=request failed] error message
+ * @param {string} [err.code] machine-readable error code
+ * @param {*} [err.details] additional information about the error
  * @param {Object} data request result
- * @param {Object} [meta] request meta-data
+ * @param {Object} [meta] request meta-data. It is serialized along with the data, so it can carry
+ *                        arbitrary fields such as pagination cursors.
  * @param {number} [meta.statusCode=200] http status code to return
+ * @param {Object} [meta.headers] http response headers to set, keyed by field name.  For batched
+ *                                requests, see mergeHeaders: `Set-Cookie` values are accumulated,
+ *                                the most restrictive `Cache-Control` is kept, `ETag` and
+ *                                `Last-Modified` are dropped and for any other header the first
+ *                                request of the batch that sets it wins.
  */
@@ -0,0 +1,195 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/**
+ * Creates fetchers that forward their requests to another service mounting the Fetchr middleware,
+ * using the same `requests`/`context` envelope as the client fetcher.
+ * @module createRemoteFetcher
+ */
+var http = require('http'),
+    https = require('https'),
+    url = require('url'),
+    FetchrError = require('./util/error'),
+    debug = require('debug')('Fetchr:remote'),
+    DEFAULT_GUID = 'g0',
+    DEFAULT_TIMEOUT = 3000,
+    DEFAULT_FORWARD_HEADERS = ['cookie', 'x-request-id'],
+    TIMEOUT_HEADER = 'x-fetchr-timeout',
+    OPERATIONS = ['create', 'read', 'update', 'delete'];
+
+/**
+ * Builds the error passed to the callback when the remote service responded with an error.
+ * @method createError
+ * @param {Number} statusCode  The http status code of the response
+ * @param {String} body  The body of the response
+ * @return {FetchrError} the error sent by the remote service, or a 502 error if it sent none
+ * @private
+ */
+function createError(statusCode, body) {
+    var parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch (e) {
+        parsed = null;
+    }
+    if (parsed && typeof parsed === 'object') {
+        return FetchrError.from(parsed);
+    }
+    return new FetchrError('remote service responded with status ' + statusCode,
+        {statusCode: 502, code: 'bad_gateway'});
+}
+
+/**
+ * Picks the headers to forward from the incoming request.
+ * @method getForwardedHeaders
+ * @param {Object} req  The req object from express/connect
+ * @param {Array} fields  The names of the headers to forward
+ * @return {Object} the headers
+ * @private
+ */
+function getForwardedHeaders(req, fields) {
+    var headers = {},
+        incoming = (req && req.headers) || {};
+    fields.forEach(function (field) {
+        var value = incoming[field.toLowerCase()];
+        if (value !== undefined) {
+            headers[field.toLowerCase()] = value;
+        }
+    });
+    return headers;
+}
+
+/**
+ * @method createRemoteFetcher
+ * @param {Object} options
+ * @param {String} options.name  The resource name
+ * @param {String} options.url  The url the remote middleware is mounted on, e.g. 'http://users:3000/api'
+ * @param {Array} [options.forwardHeaders=['cookie', 'x-request-id']] Headers forwarded from `req`
+ * @param {Number} [options.timeout=3000] Timeout (in ms) of the requests to the remote service
+ * @return {Object} the fetcher, to register with Fetcher.registerFetcher
+ */
+module.exports = function createRemoteFetcher(options) {
+    options = options || {};
+    if (!options.name || !options.url) {
+        throw new Error('Remote fetcher requires a name and a url');
+    }
+
+    var target = url.parse(options.url),
+        transport = target.protocol === 'https:' ? https : http,
+        forwardHeaders = options.forwardHeaders || DEFAULT_FORWARD_HEADERS,
+        timeout = options.timeout > 0 ? options.timeout : DEFAULT_TIMEOUT,
+        fetcher = {
+            name: options.name
+        };
+
+    /**
+     * Sends a request to the remote service.
+     * @method send
+     * @param {Object} req  The req object from express/connect
+     * @param {Object} request  The request, with resource, operation, params and body
+     * @param {Object} config  The config passed to the fetcher
+     * @param {Fetcher~fetcherCallback} callback
+     * @private
+     */
+    function send(req, request, config, callback) {
+        var requests = {},
+            requestTimeout = timeout,
+            payload,
+            headers,
+            outgoing,
+            called = false;
+
+        function done(err, data, meta) {
+            if (called) {
+                return;
+            }
+            called = true;
+            callback(err, data, meta);
+        }
+
+        if (config && config.deadline) {
+            // do not wait for the remote service longer than the client waits for us
+            requestTimeout = Math.min(timeout, config.deadline - Date.now());
+            if (requestTimeout <= 0) {
+                done(new FetchrError('deadline exceeded', {statusCode: 504, code: 'deadline_exceeded'}));
+                return;
+            }
+        }
+
+        requests[DEFAULT_GUID] = request;
+        payload = JSON.stringify({
+            requests: requests,
+            context: (config && config.context) || {}
+        });
+        headers = getForwardedHeaders(req, forwardHeaders);
+        headers['content-type'] = 'application/json';
+        headers[TIMEOUT_HEADER] = String(requestTimeout);
+        headers['content-length'] = Buffer.byteLength(payload);
+
+        outgoing = transport.request({
+            protocol: target.protocol,
+            hostname: target.hostname,
+            port: target.port,
+            path: target.path,
+            method: 'POST',
+            headers: headers
+        }, function (res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function (chunk) {
+                body += chunk;
+            });
+            res.on('end', function () {
+                var result;
+                if (res.statusCode >= 400) {
+                    debug(request.resource + ' failed remotely: statusCode=' + res.statusCode);
+                    done(createError(res.statusCode, body));
+                    return;
+                }
+                try {
+                    result = JSON.parse(body)[DEFAULT_GUID] || {};
+                } catch (e) {
+                    done(createError(res.statusCode, body));
+                    return;
+                }
+                if (result.err) {
+                    done(FetchrError.from(result.err));
+                    return;
+                }
+                done(null, result.data, result.meta || {});
+            });
+        });
+
+        outgoing.setTimeout(requestTimeout, function () {
+            debug(request.resource + ' timed out after ' + requestTimeout + 'ms');
+            done(new FetchrError('remote service timed out', {statusCode: 504, code: 'timeout'}));
+            outgoing.abort();
+        });
+        outgoing.on('error', function (err) {
+            debug(request.resource + ' failed: ' + err.message);
+            done(new FetchrError('remote service unavailable', {statusCode: 502, code: 'bad_gateway'}));
+        });
+        outgoing.end(payload);
+    }
+
+    OPERATIONS.forEach(function (operation) {
+        var hasBody = operation === 'create' || operation === 'update';
+        fetcher[operation] = function (req, resource, params, body, config, callback) {
+            var request = {
+                resource: resource,
+                operation: operation,
+                params: params
+            };
+            if (hasBody) {
+                request.body = body;
+            } else {
+                callback = config;
+                config = body;
+            }
+            send(req, request, config, callback);
+        };
+    });
+
+    return fetcher;
+};
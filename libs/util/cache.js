@@ -0,0 +1,131 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jslint nomen:true,plusplus:true*/
+/**
+ * @module cache
+ */
+
+var DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * In-memory cache with per-entry expiration and least-recently-used eviction.
+ * Entries can be tagged with a group, so that all entries of a group can be removed at once.
+ *
+ * @class Cache
+ * @constructor
+ * @param {Object} [config]  The configuration object.
+ * @param {Number} [config.maxEntries=100] Max number of entries.  The least recently used entry
+ *                                         is evicted when the cache is full.
+ */
+function Cache(config) {
+    config = config || {};
+    this.maxEntries = config.maxEntries > 0 ? config.maxEntries : DEFAULT_MAX_ENTRIES;
+    this._entries = {};
+    // keys ordered from least to most recently used
+    this._keys = [];
+}
+
+Cache.prototype = {
+    /**
+     * @method get
+     * @param {String} key
+     * @return {Mixed} the cached value, or undefined if there is none or it expired
+     */
+    get : function (key) {
+        var entry = this._entries[key];
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expires <= Date.now()) {
+            this.remove(key);
+            return undefined;
+        }
+        this._touch(key);
+        return entry.value;
+    },
+
+    /**
+     * @method set
+     * @param {String} key
+     * @param {Mixed} value
+     * @param {Number} ttl  Time to live (in ms)
+     * @param {String} [group] The group the entry belongs to
+     * @chainable
+     */
+    set : function (key, value, ttl, group) {
+        if (this._entries[key]) {
+            this._touch(key);
+        } else {
+            this._keys.push(key);
+        }
+        this._entries[key] = {
+            value: value,
+            group: group,
+            expires: Date.now() + ttl
+        };
+        while (this._keys.length > this.maxEntries) {
+            delete this._entries[this._keys.shift()];
+        }
+        return this;
+    },
+
+    /**
+     * @method remove
+     * @param {String} key
+     * @chainable
+     */
+    remove : function (key) {
+        var index = this._keys.indexOf(key);
+        if (index !== -1) {
+            this._keys.splice(index, 1);
+            delete this._entries[key];
+        }
+        return this;
+    },
+
+    /**
+     * Removes all entries of a group.
+     * @method removeGroup
+     * @param {String} group
+     * @chainable
+     */
+    removeGroup : function (group) {
+        var self = this;
+        this._keys = this._keys.filter(function (key) {
+            if (self._entries[key].group === group) {
+                delete self._entries[key];
+                return false;
+            }
+            return true;
+        });
+        return this;
+    },
+
+    /**
+     * @method clear
+     * @chainable
+     */
+    clear : function () {
+        this._entries = {};
+        this._keys = [];
+        return this;
+    },
+
+    /**
+     * Marks the key as most recently used.
+     * @method _touch
+     * @param {String} key
+     * @private
+     */
+    _touch : function (key) {
+        var index = this._keys.indexOf(key);
+        if (index !== this._keys.length - 1) {
+            this._keys.splice(index, 1);
+            this._keys.push(key);
+        }
+    }
+};
+
+module.exports = Cache;
@@ -0,0 +1,119 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jslint nomen:true,plusplus:true*/
+/**
+ * Encodes and decodes request params and context values sent in GET urls, so that they
+ * reach the fetchers with the same types as when they are sent in a POST body.
+ *
+ * Values are sent as JSON, except for strings that are not valid JSON themselves, which
+ * are sent as is to keep urls readable.  For example, `{id: 'asdf', page: 2, ids: [1, 2]}`
+ * is encoded as `ids=%5B1%2C2%5D;id=asdf;page=2`, while the string '2' is encoded as `"2"`.
+ * @module codec
+ */
+var debug = require('debug')('Fetchr:codec'),
+    MATRIX_SEPARATOR = ';';
+
+function isJSON(str) {
+    try {
+        JSON.parse(str);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * @method encodeValue
+ * @param {Mixed} value  The value to encode
+ * @return {String|undefined} the encoded value, or undefined if the value cannot be sent
+ */
+function encodeValue(value) {
+    if (typeof value === 'string' && !isJSON(value)) {
+        return value;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * @method decodeValue
+ * @param {String} value  The value to decode
+ * @return {Mixed} the decoded value
+ */
+function decodeValue(value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Encodes params as url matrix parameters, sorted by key.
+ * @method encodeMatrix
+ * @param {Object} params  The params to encode
+ * @return {String} the encoded params, without leading separator
+ */
+function encodeMatrix(params) {
+    var matrix = [];
+    Object.keys(params || {}).forEach(function (key) {
+        var value;
+        try {
+            value = encodeValue(params[key]);
+        } catch (e) {
+            debug('encodeValue failed for ' + key + ': ' + e);
+            return;
+        }
+        if (value !== undefined) {
+            matrix.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+        }
+    });
+    return matrix.sort().join(MATRIX_SEPARATOR);
+}
+
+/**
+ * Decodes url matrix parameters.  Keys that appear more than once are decoded as an array.
+ * @method decodeMatrix
+ * @param {String} matrix  The matrix parameters, without leading separator
+ * @return {Object} the decoded params
+ * @throws {URIError} if the matrix parameters contain malformed escape sequences
+ */
+function decodeMatrix(matrix) {
+    var params = {};
+    (matrix || '').split(MATRIX_SEPARATOR).forEach(function (pair) {
+        var index = pair.indexOf('='),
+            key,
+            value;
+        if (!pair) {
+            return;
+        }
+        if (index === -1) {
+            key = pair;
+            value = '';
+        } else {
+            key = pair.substr(0, index);
+            value = pair.substr(index + 1);
+        }
+        key = decodeURIComponent(key);
+        value = decodeValue(decodeURIComponent(value.replace(/\+/g, ' ')));
+        if (!params.hasOwnProperty(key)) {
+            params[key] = value;
+        } else if (Array.isArray(params[key])) {
+            params[key].push(value);
+        } else {
+            params[key] = [params[key], value];
+        }
+    });
+    return params;
+}
+
+module.exports = {
+    encodeValue: encodeValue,
+    decodeValue: decodeValue,
+    encodeMatrix: encodeMatrix,
+    decodeMatrix: decodeMatrix
+};
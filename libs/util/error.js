@@ -0,0 +1,85 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/**
+ * @module error
+ */
+
+var DEFAULT_STATUS_CODE = 400,
+    DEFAULT_MESSAGE = 'request failed';
+
+/**
+ * Error that fetchers can throw or pass back to their callback.  It is serialized as JSON
+ * by the middleware and rebuilt as a FetchrError by the client fetcher, so that the same
+ * error handling code works on server and client.
+ *
+ * @class FetchrError
+ * @constructor
+ * @param {String} [message="request failed"] Message describing the error
+ * @param {Object} [options]
+ * @param {Number} [options.statusCode=400] The http status code
+ * @param {String} [options.code] Machine-readable error code, e.g. 'not_found'
+ * @param {Mixed} [options.details] Additional information about the error
+ */
+function FetchrError(message, options) {
+    options = options || {};
+    this.name = 'FetchrError';
+    this.message = message || DEFAULT_MESSAGE;
+    this.statusCode = options.statusCode || DEFAULT_STATUS_CODE;
+    this.code = options.code || null;
+    this.details = options.details !== undefined ? options.details : null;
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, FetchrError);
+    } else {
+        this.stack = (new Error(this.message)).stack;
+    }
+}
+
+FetchrError.prototype = Object.create(Error.prototype);
+FetchrError.prototype.constructor = FetchrError;
+
+/**
+ * @method toJSON
+ * @return {Object} the serializable representation of the error, without stack trace
+ */
+FetchrError.prototype.toJSON = function () {
+    var json = {},
+        self = this;
+    Object.keys(this).forEach(function (key) {
+        if (key !== 'stack') {
+            json[key] = self[key];
+        }
+    });
+    json.name = this.name;
+    json.statusCode = this.statusCode;
+    json.code = this.code;
+    json.message = this.message;
+    json.details = this.details;
+    return json;
+};
+
+/**
+ * Builds a FetchrError from any error object, e.g. a plain object passed back by a fetcher
+ * or the JSON representation of an error sent by the middleware.  Custom fields are kept.
+ * @method from
+ * @static
+ * @param {Object} err  The error
+ * @return {FetchrError} the error itself if it already is a FetchrError
+ */
+FetchrError.from = function (err) {
+    var error;
+    if (err instanceof FetchrError) {
+        return err;
+    }
+    err = err || {};
+    error = new FetchrError(err.message, err);
+    Object.keys(err).forEach(function (key) {
+        if (key !== 'stack' && key !== 'name' && !error.hasOwnProperty(key)) {
+            error[key] = err[key];
+        }
+    });
+    return error;
+};
+
+module.exports = FetchrError;
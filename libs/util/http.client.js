@@ -4,28 +4,48 @@
  */
 /*jslint nomen:true,plusplus:true*/
 /**
+ * Sends http requests through a transport.  A transport is a function that takes a request object,
+ * with `url`, `method`, `headers`, `body` (a string) and `timeout` properties, and a callback, and
+ * returns a handle with an `abort()` method.  The callback is invoked with (error, response), where
+ * error is set when the request failed (status code 0 or >= 400), and response is an
+ * XMLHttpRequest-like object with `status`, `statusText`, `responseText` and `getResponseHeader(name)`.
+ *
+ * The transports shipped are 'xhr' (the default) and 'fetch', see the transport directory.
  * @module rest-http
  */
 
 /*
  * Default configurations:
  *   timeout: timeout (in ms) for each request
- *   retry: retry related settings, such as retry interval amount (in ms), max_retries.
- *          Note that only retry only applies on GET.
+ *   retry: retry related settings, such as the initial retry interval (in ms), max_retries and the
+ *          status codes that are retried.
+ *          Note that retries only apply to idempotent methods, unless unsafeAllowRetry is set.
  */
 var _ = {
         forEach : require('lodash.foreach'),
         some : require('lodash.some'),
-        isNumber : require('lodash.isnumber')
+        isNumber : require('lodash.isnumber'),
+        isArray : require('lodash.isarray'),
+        isFunction : require('lodash.isfunction')
     },
     DEFAULT_CONFIG = {
         timeout: 3000,
         retry: {
             interval: 200,
-            max_retries: 2
+            max_interval: 10000,
+            max_retries: 2,
+            max_elapsed: 0,
+            jitter: 0.5,
+            // 999 is used for null responses, see processErrorResponse
+            status_codes: [408, 502, 503, 504, 999]
         }
     },
     CONTENT_TYPE = 'Content-Type',
+    RETRY_AFTER = 'Retry-After',
+    // tells the middleware how long (in ms) the response is waited for
+    TIMEOUT_HEADER = 'X-Fetchr-Timeout',
+    // urls with a scheme or starting with // may be cross-origin
+    ABSOLUTE_URL = /^([a-z][a-z0-9+.\-]*:)?\/\//i,
     TYPE_JSON = 'application/json',
     TIMEOUT = 'timeout',
     METHOD_GET = 'GET',
@@ -33,7 +53,10 @@ var _ = {
     METHOD_POST = 'POST',
     METHOD_DELETE = 'DELETE',
     NULL = null,
-    xhr = require('xhr');
+    TRANSPORTS = {
+        xhr: require('./transport/xhr'),
+        fetch: require('./transport/fetch')
+    };
 
 //trim polyfill, maybe pull from npm later
 if (!String.prototype.trim) {
@@ -54,23 +77,92 @@ function normalizeHeaders(headers) {
     return normalized;
 }
 
+/**
+ * Whether the timeout is sent in the X-Fetchr-Timeout header: it is by default for relative urls
+ * only, since cross-origin requests with a custom header fail unless the server allows it with
+ * Access-Control-Allow-Headers.
+ * @method shouldSendTimeout
+ * @param {String} url  The url of the request
+ * @param {Object} config  The merged config, see mergeConfig
+ * @return {Boolean} true if the header must be sent
+ * @private
+ */
+function shouldSendTimeout(url, config) {
+    if (typeof config.sendTimeout === 'boolean') {
+        return config.sendTimeout;
+    }
+    return !ABSOLUTE_URL.test(url);
+}
+
 function isContentTypeJSON(headers) {
     return _.some(headers[CONTENT_TYPE].split(';'), function (part) {
         return part.trim().toLowerCase() === TYPE_JSON;
     });
 }
 
-function shouldRetry(method, config, statusCode) {
-    var isIdempotent = (method === METHOD_GET || method === METHOD_PUT || method === METHOD_DELETE);
+/**
+ * Reads the delay requested by the server in the Retry-After header, which is either
+ * a number of seconds or an http date.
+ * @method getRetryAfter
+ * @param {Object} response  The xhr response
+ * @return {Number|null} the delay in ms, or null if the header is missing or invalid
+ * @private
+ */
+function getRetryAfter(response) {
+    var value = response.getResponseHeader && response.getResponseHeader(RETRY_AFTER),
+        date;
+    if (!value) {
+        return NULL;
+    }
+    if (/^\s*\d+\s*$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+    date = Date.parse(value);
+    if (isNaN(date)) {
+        return NULL;
+    }
+    return Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Computes the delay before retrying a failed request: the interval doubles with each retry,
+ * up to max_interval, and is randomized by the jitter factor so that clients do not retry in
+ * lockstep.  A longer delay requested with Retry-After is honored, unless it exceeds max_interval,
+ * in which case the request is not retried.
+ * @method getRetryDelay
+ * @param {String} method  The http method
+ * @param {Object} config  The merged config, see mergeConfig
+ * @param {Object} response  The xhr response
+ * @param {Number} retries  The number of retries so far
+ * @param {Number} elapsed  Time elapsed (in ms) since the first attempt
+ * @return {Number|null} the delay in ms, or null if the request must not be retried
+ * @private
+ */
+function getRetryDelay(method, config, response, retries, elapsed) {
+    var retry = config.retry,
+        isIdempotent = (method === METHOD_GET || method === METHOD_PUT || method === METHOD_DELETE),
+        delay,
+        retryAfter;
     if (!isIdempotent && !config.unsafeAllowRetry) {
-        return false;
+        return NULL;
+    }
+    if (retries >= retry.max_retries || retry.status_codes.indexOf(response.status) === -1) {
+        return NULL;
     }
-    if ((statusCode !== 408 && statusCode !== 999) || config.tmp.retry_counter >= config.retry.max_retries) {
-        return false;
+    delay = Math.min(retry.interval * Math.pow(2, retries), retry.max_interval);
+    delay = Math.round(delay * (1 - retry.jitter * Math.random()));
+    retryAfter = getRetryAfter(response);
+    if (retryAfter !== NULL) {
+        if (retryAfter > retry.max_interval) {
+            // do not hold the request (and its concurrency slot) for longer than max_interval
+            return NULL;
+        }
+        delay = Math.max(delay, retryAfter);
     }
-    config.tmp.retry_counter++;
-    config.retry.interval =  config.retry.interval * 2;
-    return true;
+    if (retry.max_elapsed > 0 && elapsed + delay > retry.max_elapsed) {
+        return NULL;
+    }
+    return delay;
 }
 
 function processErrorResponse(response) {
@@ -100,39 +192,71 @@ function createErrorObj(response, timeout) {
     return errObj;
 }
 
+/**
+ * @method getTransport
+ * @param {String|Function} [transport="xhr"] Name of a shipped transport, or a custom transport
+ * @return {Function} the transport
+ * @throws {Error} if there is no shipped transport with that name
+ * @private
+ */
+function getTransport(transport) {
+    if (_.isFunction(transport)) {
+        return transport;
+    }
+    if (transport && !TRANSPORTS[transport]) {
+        throw new Error('Unknown transport ' + transport);
+    }
+    return TRANSPORTS[transport || 'xhr'];
+}
+
 function mergeConfig(config) {
-    var cfg = {
+    var defaults = DEFAULT_CONFIG.retry,
+        cfg = {
             timeout: DEFAULT_CONFIG.timeout,
-            unsafeAllowRetry: config.unsafeAllowRetry || false,
+            unsafeAllowRetry: (config && config.unsafeAllowRetry) || false,
+            transport: getTransport(config && config.transport),
+            sendTimeout: config && config.sendTimeout,
             retry: {
-                interval: DEFAULT_CONFIG.retry.interval,
-                max_retries: DEFAULT_CONFIG.retry.max_retries
+                interval: defaults.interval,
+                max_interval: defaults.max_interval,
+                max_retries: defaults.max_retries,
+                max_elapsed: defaults.max_elapsed,
+                jitter: defaults.jitter,
+                status_codes: defaults.status_codes,
+                on_retry: NULL
             }
         }, // Performant-but-verbose way of cloning the default config as base
+        retry = config && config.retry,
         timeout,
-        interval,
-        maxRetries;
+        value;
 
     if (config) {
         timeout = parseInt(config.timeout, 10);
         if (_.isNumber(timeout) && timeout > 0) {
             cfg.timeout = timeout;
         }
+    }
 
-        if (config.retry) {
-            interval = parseInt(config.retry && config.retry.interval, 10);
-            if (_.isNumber(interval) && interval > 0) {
-                cfg.retry.interval = interval;
-            }
-            maxRetries = parseInt(config.retry && config.retry.max_retries, 10);
-            if (_.isNumber(maxRetries) && maxRetries >= 0) {
-                cfg.retry.max_retries = maxRetries;
+    if (retry) {
+        _.forEach(['interval', 'max_interval', 'max_elapsed'], function (key) {
+            value = parseInt(retry[key], 10);
+            if (_.isNumber(value) && value > 0) {
+                cfg.retry[key] = value;
             }
+        });
+        value = parseInt(retry.max_retries, 10);
+        if (_.isNumber(value) && value >= 0) {
+            cfg.retry.max_retries = value;
         }
-
-        // tmp stores transient state data, such as retry count
-        if (config.tmp) {
-            cfg.tmp = config.tmp;
+        value = parseFloat(retry.jitter);
+        if (_.isNumber(value) && value >= 0 && value <= 1) {
+            cfg.retry.jitter = value;
+        }
+        if (_.isArray(retry.status_codes)) {
+            cfg.retry.status_codes = retry.status_codes;
+        }
+        if (_.isFunction(retry.on_retry)) {
+            cfg.retry.on_retry = retry.on_retry;
         }
     }
 
@@ -140,44 +264,81 @@ function mergeConfig(config) {
 }
 
 function doXhr(method, url, headers, data, config, callback) {
-    var options, timeout;
+    var start = Date.now(),
+        retries = 0,
+        options,
+        timeout,
+        handle;
 
     config = mergeConfig(config);
     headers = normalizeHeaders(headers);
     headers[CONTENT_TYPE] = headers[CONTENT_TYPE] || TYPE_JSON;
-    // use config.tmp to store temporary values
-    config.tmp = config.tmp || {retry_counter: 0};
 
     timeout = config.timeout;
+    if (shouldSendTimeout(url, config)) {
+        headers[TIMEOUT_HEADER] = String(timeout);
+    }
+    handle = {
+        aborted: false,
+        request: NULL,
+        timer: NULL,
+        abort: function () {
+            // the callback is never invoked once the request is aborted
+            this.aborted = true;
+            clearTimeout(this.timer);
+            if (this.request) {
+                this.request.abort();
+            }
+        }
+    };
     options = {
         method : method,
         timeout : timeout,
         headers: headers,
+        transport: config.transport,
         on : {
             success : function (id, response) {
-                callback(NULL, response);
+                if (!handle.aborted) {
+                    callback(NULL, response);
+                }
             },
             failure : function (id, response) {
+                var delay;
+                if (handle.aborted) {
+                    return;
+                }
                 response = processErrorResponse(response);
-                if (!shouldRetry(method, config, response.status)) {
+                delay = getRetryDelay(method, config, response, retries, Date.now() - start);
+                if (delay !== NULL && config.retry.on_retry && config.retry.on_retry({
+                        method: method,
+                        url: url,
+                        statusCode: response.status,
+                        attempt: retries + 1,
+                        delay: delay
+                    }) === false) {
+                    delay = NULL;
+                }
+                if (delay === NULL) {
                     callback(createErrorObj(response, timeout));
-                } else {
-                    _.delay(
-                        function retryXHR() { xhr(method, url, headers, data, config, callback); },
-                        config.retry.interval
-                    );
+                    return;
                 }
+                retries++;
+                handle.timer = setTimeout(function retryXHR() {
+                    handle.timer = NULL;
+                    handle.request = io(url, options);
+                }, delay);
             }
         }
     };
     if (data !== undefined && data !== NULL) {
         options.data = isContentTypeJSON(headers) ? JSON.stringify(data) : data;
     }
-    io(url, options);
+    handle.request = io(url, options);
+    return handle;
 }
 
 function io(url, options) {
-    xhr({
+    return options.transport({
         url: url,
         method: options.method || METHOD_GET,
         timeout: options.timeout,
@@ -204,13 +365,24 @@ module.exports = {
      * @param {Object} headers
      * @param {Object} config  The config object.
      * @param {Number} [config.timeout=3000] Timeout (in ms) for each request
+     * @param {String|Function} [config.transport="xhr"] The transport: 'xhr', 'fetch' or a custom transport
+     * @param {Boolean} [config.sendTimeout] Send the timeout in the X-Fetchr-Timeout header.  Defaults to true for
+     *                                       relative urls and false for absolute ones, which may be cross-origin.
      * @param {Object} config.retry   Retry config object.
-     * @param {Number} [config.retry.interval=200]  The start interval unit (in ms).
+     * @param {Number} [config.retry.interval=200]  The start interval unit (in ms), doubled with each retry.
+     * @param {Number} [config.retry.max_interval=10000]  The max interval (in ms) between two attempts.
      * @param {Number} [config.retry.max_retries=2]   Nmber of max retries.
+     * @param {Number} [config.retry.max_elapsed]  Max time (in ms) since the first attempt after which the
+     *                                             request is not retried anymore.
+     * @param {Number} [config.retry.jitter=0.5]  Factor (0 to 1) by which each interval is randomly shortened.
+     * @param {Array} [config.retry.status_codes=[408,502,503,504,999]]  The status codes that are retried.
+     * @param {Function} [config.retry.on_retry]  Invoked before each retry with `{method, url, statusCode,
+     *                                            attempt, delay}`.  Returning false stops retrying.
      * @param {Function} callback The callback funciton, with two params (error, response)
+     * @return {Object} handle with an `abort()` method that cancels the request
      */
     get : function (url, headers, config, callback) {
-        doXhr(METHOD_GET, url, headers, NULL, config, callback);
+        return doXhr(METHOD_GET, url, headers, NULL, config, callback);
     },
 
     /**
@@ -223,9 +395,10 @@ module.exports = {
      * @param {Number} [config.retry.interval=200]  The start interval unit (in ms).
      * @param {Number} [config.retry.max_retries=2]   Nmber of max retries.
      * @param {Function} callback The callback funciton, with two params (error, response)
+     * @return {Object} handle with an `abort()` method that cancels the request
      */
     put : function (url, headers, data, config, callback) {
-        doXhr(METHOD_PUT, url, headers, data, config, callback);
+        return doXhr(METHOD_PUT, url, headers, data, config, callback);
     },
 
     /**
@@ -239,9 +412,10 @@ module.exports = {
      * @param {Number} [config.retry.interval=200]  The start interval unit (in ms).
      * @param {Number} [config.retry.max_retries=2]   Nmber of max retries.
      * @param {Function} callback The callback funciton, with two params (error, response)
+     * @return {Object} handle with an `abort()` method that cancels the request
      */
     post : function (url, headers, data, config, callback) {
-        doXhr(METHOD_POST, url, headers, data, config, callback);
+        return doXhr(METHOD_POST, url, headers, data, config, callback);
     },
 
     /**
@@ -253,8 +427,18 @@ module.exports = {
      * @param {Number} [config.retry.interval=200]  The start interval unit (in ms).
      * @param {Number} [config.retry.max_retries=2]   Nmber of max retries.
      * @param {Function} callback The callback funciton, with two params (error, response)
+     * @return {Object} handle with an `abort()` method that cancels the request
      */
     'delete' : function (url, headers, config, callback) {
-        doXhr(METHOD_DELETE, url, headers, NULL, config, callback);
-    }
+        return doXhr(METHOD_DELETE, url, headers, NULL, config, callback);
+    },
+
+    /**
+     * Resolves a transport, so that an unknown transport name can be reported before any request is sent.
+     * @method getTransport
+     * @param {String|Function} [transport="xhr"] Name of a shipped transport, or a custom transport
+     * @return {Function} the transport
+     * @throws {Error} if there is no shipped transport with that name
+     */
+    getTransport: getTransport
 };
@@ -0,0 +1,126 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jslint nomen:true,plusplus:true*/
+/**
+ * @module scheduler
+ */
+
+var PRIORITIES = ['high', 'normal', 'low'],
+    DEFAULT_PRIORITY = 'normal';
+
+/**
+ * Runs asynchronous tasks with a cap on the number of tasks running at the same time.
+ * Waiting tasks are started by priority, then in the order they were scheduled.
+ *
+ * @class Scheduler
+ * @constructor
+ * @param {Object} [config]  The configuration object.
+ * @param {Number} [config.maxConcurrent] Max number of tasks running at the same time.  Unlimited by default.
+ */
+function Scheduler(config) {
+    config = config || {};
+    this.maxConcurrent = config.maxConcurrent > 0 ? config.maxConcurrent : Infinity;
+    this._running = 0;
+    this._lanes = {};
+    PRIORITIES.forEach(function (priority) {
+        this._lanes[priority] = [];
+    }, this);
+}
+
+/**
+ * The priorities, from highest to lowest.
+ * @property PRIORITIES
+ * @type Array
+ * @static
+ */
+Scheduler.PRIORITIES = PRIORITIES;
+
+Scheduler.prototype = {
+    /**
+     * Schedules a task.  It is started right away if fewer than maxConcurrent tasks are running.
+     * @method schedule
+     * @param {Function} fn  The task
+     * @param {Function} fn.done  Function the task must invoke once it is complete
+     * @param {String} [priority="normal"] 'high', 'normal' or 'low'
+     * @return {Object} the task, to pass to cancel
+     */
+    schedule : function (fn, priority) {
+        var task = {
+            fn: fn,
+            priority: this._lanes[priority] ? priority : DEFAULT_PRIORITY,
+            started: false
+        };
+        this._lanes[task.priority].push(task);
+        this._next();
+        return task;
+    },
+
+    /**
+     * Removes a task that has not started yet.
+     * @method cancel
+     * @param {Object} task  The task returned by schedule
+     * @return {Boolean} true if the task was waiting
+     */
+    cancel : function (task) {
+        var lane = this._lanes[task.priority],
+            index = lane.indexOf(task);
+        if (index === -1) {
+            return false;
+        }
+        lane.splice(index, 1);
+        return true;
+    },
+
+    /**
+     * Starts waiting tasks while there are free slots.
+     * @method _next
+     * @private
+     */
+    _next : function () {
+        var task;
+        while (this._running < this.maxConcurrent && (task = this._shift())) {
+            this._running++;
+            task.started = true;
+            task.fn(this._createDone());
+        }
+    },
+
+    /**
+     * @method _shift
+     * @return {Object} the waiting task with the highest priority, if any
+     * @private
+     */
+    _shift : function () {
+        var i,
+            lane;
+        for (i = 0; i < PRIORITIES.length; i++) {
+            lane = this._lanes[PRIORITIES[i]];
+            if (lane.length) {
+                return lane.shift();
+            }
+        }
+        return null;
+    },
+
+    /**
+     * @method _createDone
+     * @return {Function} function that frees the slot of a task, once
+     * @private
+     */
+    _createDone : function () {
+        var self = this,
+            called = false;
+        return function () {
+            if (called) {
+                return;
+            }
+            called = true;
+            self._running--;
+            self._next();
+        };
+    }
+};
+
+module.exports = Scheduler;
@@ -0,0 +1,200 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jslint nomen:true,plusplus:true*/
+/**
+ * Validates and coerces request params and bodies against the schemas declared by fetchers.
+ *
+ * A schema maps field names to field rules, for example:
+ *
+ *     {
+ *         id: {type: 'number', required: true, min: 1},
+ *         sort: {type: 'string', 'enum': ['asc', 'desc'], 'default': 'asc'},
+ *         tags: {type: 'array', items: {type: 'string'}},
+ *         author: {type: 'object', properties: {name: {type: 'string', required: true}}}
+ *     }
+ *
+ * Supported rules are `type` ('string', 'number', 'integer', 'boolean', 'object' or 'array'),
+ * `required`, `default`, `enum`, `pattern`, `min`, `max`, `minLength`, `maxLength`, `items`
+ * and `properties`.  Strings are coerced to numbers and booleans, and numbers and booleans
+ * to strings.  Fields that are not declared in the schema are kept as is.
+ * @module schema
+ */
+
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value === null) {
+        return 'null';
+    }
+    return typeof value;
+}
+
+/**
+ * Coerces a value to a type.
+ * @method coerce
+ * @param {Mixed} value  The value to coerce
+ * @param {String} type  The expected type
+ * @return {Mixed} the coerced value, or undefined if the value cannot be coerced
+ * @private
+ */
+function coerce(value, type) {
+    var actual = typeOf(value),
+        number;
+    switch (type) {
+    case 'string':
+        if (actual === 'string') {
+            return value;
+        }
+        if (actual === 'number' || actual === 'boolean') {
+            return String(value);
+        }
+        return undefined;
+    case 'number':
+    case 'integer':
+        if (actual === 'number') {
+            number = value;
+        } else if (actual === 'string' && value.trim() !== '') {
+            number = Number(value);
+        }
+        if (typeof number !== 'number' || !isFinite(number) ||
+                (type === 'integer' && Math.floor(number) !== number)) {
+            return undefined;
+        }
+        return number;
+    case 'boolean':
+        if (actual === 'boolean') {
+            return value;
+        }
+        if (value === 'true') {
+            return true;
+        }
+        if (value === 'false') {
+            return false;
+        }
+        return undefined;
+    default:
+        return actual === type ? value : undefined;
+    }
+}
+
+/**
+ * Validates a single field.
+ * @method validateField
+ * @param {Object} rule  The field rule
+ * @param {Mixed} value  The field value
+ * @param {String} path  The path of the field, used in error messages
+ * @param {Array} errors  Array the errors are pushed to
+ * @return {Mixed} the coerced value
+ * @private
+ */
+function validateField(rule, value, path, errors) {
+    var coerced,
+        length;
+
+    if (value === undefined || value === null) {
+        if (rule['default'] !== undefined) {
+            return rule['default'];
+        }
+        if (rule.required) {
+            errors.push({field: path, message: 'is required'});
+        }
+        return value;
+    }
+
+    if (rule.type) {
+        coerced = coerce(value, rule.type);
+        if (coerced === undefined) {
+            errors.push({field: path, message: 'must be of type ' + rule.type});
+            return value;
+        }
+        value = coerced;
+    }
+
+    if (rule['enum'] && rule['enum'].indexOf(value) === -1) {
+        errors.push({field: path, message: 'must be one of ' + rule['enum'].join(', ')});
+    }
+    if (rule.pattern && (typeof value !== 'string' || !new RegExp(rule.pattern).test(value))) {
+        errors.push({field: path, message: 'must match ' + rule.pattern});
+    }
+    if (typeof value === 'number') {
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push({field: path, message: 'must be at least ' + rule.min});
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push({field: path, message: 'must be at most ' + rule.max});
+        }
+    }
+    if (typeof value === 'string' || Array.isArray(value)) {
+        length = value.length;
+        if (rule.minLength !== undefined && length < rule.minLength) {
+            errors.push({field: path, message: 'must have a length of at least ' + rule.minLength});
+        }
+        if (rule.maxLength !== undefined && length > rule.maxLength) {
+            errors.push({field: path, message: 'must have a length of at most ' + rule.maxLength});
+        }
+    }
+    if (Array.isArray(value) && rule.items) {
+        value = value.map(function (item, index) {
+            return validateField(rule.items, item, path + '[' + index + ']', errors);
+        });
+    }
+    if (typeOf(value) === 'object' && rule.properties) {
+        value = validateObject(rule.properties, value, path, errors);
+    }
+    return value;
+}
+
+/**
+ * Validates the fields of an object.
+ * @method validateObject
+ * @param {Object} schema  The field rules, keyed by field name
+ * @param {Object} object  The object to validate
+ * @param {String} path  The path of the object, used in error messages
+ * @param {Array} errors  Array the errors are pushed to
+ * @return {Object} a copy of the object with coerced values
+ * @private
+ */
+function validateObject(schema, object, path, errors) {
+    var result = {};
+    Object.keys(object).forEach(function (key) {
+        result[key] = object[key];
+    });
+    Object.keys(schema).forEach(function (key) {
+        var value = validateField(schema[key], object[key], path ? path + '.' + key : key, errors);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * @method validate
+ * @param {Object} schema  The field rules, keyed by field name
+ * @param {Object} [object]  The object to validate, e.g. the params of a request
+ * @param {String} [path]  Prefix of the field names in errors, e.g. 'params'
+ * @return {Object} `{value, errors}` where `value` is a copy of the object with coerced values,
+ *                  and `errors` is an array of `{field, message}` objects
+ */
+function validate(schema, object, path) {
+    var errors = [],
+        value;
+    if (typeOf(object || {}) !== 'object') {
+        return {
+            value: object,
+            errors: [{field: path || '', message: 'must be of type object'}]
+        };
+    }
+    value = validateObject(schema, object || {}, path || '', errors);
+    return {
+        value: value,
+        errors: errors
+    };
+}
+
+module.exports = {
+    validate: validate
+};
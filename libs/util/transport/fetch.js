@@ -0,0 +1,87 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/**
+ * Transport sending requests with the global `fetch` function, for environments without
+ * XMLHttpRequest such as web workers.  See the rest-http module for the transport interface.
+ * @module transport/fetch
+ */
+
+/**
+ * Builds an XMLHttpRequest-like response object.
+ * @method createResponse
+ * @param {Number} status  The http status code
+ * @param {String} statusText  The http status text
+ * @param {String} responseText  The response body
+ * @param {Object} [headers]  The fetch Headers of the response
+ * @return {Object} the response
+ * @private
+ */
+function createResponse(status, statusText, responseText, headers) {
+    return {
+        status: status,
+        statusText: statusText,
+        responseText: responseText,
+        getResponseHeader: function (name) {
+            return headers ? headers.get(name) : null;
+        }
+    };
+}
+
+/**
+ * @method fetchTransport
+ * @param {Object} request  The request to send, with `url`, `method`, `headers`, `body` and `timeout`
+ * @param {Function} callback  Invoked with (error, response)
+ * @return {Object} handle with an `abort()` method
+ */
+module.exports = function fetchTransport(request, callback) {
+    var controller = typeof AbortController === 'function' ? new AbortController() : null,
+        done = false,
+        timer = null;
+
+    function finish(err, response) {
+        if (done) {
+            return;
+        }
+        done = true;
+        clearTimeout(timer);
+        callback(err, response);
+    }
+
+    if (request.timeout > 0) {
+        timer = setTimeout(function () {
+            if (controller) {
+                controller.abort();
+            }
+            // same response as a timed out XMLHttpRequest
+            finish(new Error('timeout'), createResponse(0, 'timeout', ''));
+        }, request.timeout);
+    }
+
+    fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        credentials: 'same-origin',
+        signal: controller ? controller.signal : undefined
+    }).then(function (res) {
+        return res.text().then(function (text) {
+            return createResponse(res.status, res.statusText, text, res.headers);
+        });
+    }).then(function (response) {
+        finish(response.status >= 400 ? new Error(response.statusText) : null, response);
+    }, function (err) {
+        finish(err, createResponse(0, String(err && err.message), ''));
+    });
+
+    return {
+        abort: function () {
+            done = true;
+            clearTimeout(timer);
+            if (controller) {
+                controller.abort();
+            }
+        }
+    };
+};
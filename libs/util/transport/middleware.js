@@ -0,0 +1,140 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/**
+ * In-process transport that hands the requests of the client fetcher to the middleware directly,
+ * without HTTP server.  It is meant for running the client fetcher in Node, e.g. in tests:
+ * <pre>
+ * var createMiddlewareTransport = require('fetchr/libs/util/transport/middleware'),
+ *     fetcher = new FetcherClient({
+ *         xhrPath: '/api',
+ *         transport: createMiddlewareTransport(Fetcher.middleware(), {xhrPath: '/api'})
+ *     });
+ * </pre>
+ * @module transport/middleware
+ */
+var http = require('http'),
+    url = require('url'),
+    querystring = require('querystring'),
+    DEFAULT_XHR_PATH = '/api';
+
+/**
+ * @method parseBody
+ * @param {Mixed} body  The request body sent by the client
+ * @return {Object} the body as parsed by a JSON body parser
+ * @private
+ */
+function parseBody(body) {
+    if (typeof body !== 'string') {
+        return body || {};
+    }
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * @method createMiddlewareTransport
+ * @param {Function} middleware  The middleware returned by Fetcher.middleware
+ * @param {Object} [options]
+ * @param {String} [options.xhrPath="/api"] The path the middleware would be mounted on
+ * @param {Object} [options.req] Additional properties of every req object, e.g. a session
+ * @return {Function} the transport
+ */
+module.exports = function createMiddlewareTransport(middleware, options) {
+    options = options || {};
+    var mountPath = options.xhrPath || DEFAULT_XHR_PATH,
+        reqProperties = options.req || {};
+
+    return function middlewareTransport(request, callback) {
+        var parsed = url.parse(request.url),
+            pathname = parsed.pathname,
+            requestHeaders = {},
+            responseHeaders = {},
+            statusCode = 200,
+            finished = false,
+            aborted = false,
+            req,
+            res;
+
+        function respond(body) {
+            var response;
+            if (finished) {
+                return;
+            }
+            finished = true;
+            response = {
+                status: statusCode,
+                statusText: http.STATUS_CODES[statusCode] || '',
+                responseText: body || '',
+                getResponseHeader: function (name) {
+                    var value = responseHeaders[name.toLowerCase()];
+                    return value === undefined ? null : value;
+                }
+            };
+            // keep the callback asynchronous, as it is with the network
+            setTimeout(function () {
+                if (!aborted) {
+                    callback(statusCode >= 400 ? new Error(response.statusText) : null, response);
+                }
+            }, 0);
+        }
+
+        Object.keys(request.headers || {}).forEach(function (field) {
+            requestHeaders[field.toLowerCase()] = request.headers[field];
+        });
+        if (pathname.indexOf(mountPath) === 0) {
+            pathname = pathname.substr(mountPath.length) || '/';
+        }
+
+        req = Object.create(reqProperties);
+        req.method = request.method;
+        req.url = req.originalUrl = request.url;
+        req.path = pathname;
+        req.query = querystring.parse(parsed.query || '');
+        req.headers = requestHeaders;
+        req.body = parseBody(request.body);
+        req.get = function (field) {
+            return requestHeaders[field.toLowerCase()];
+        };
+
+        res = {
+            status: function (code) {
+                statusCode = code;
+                return this;
+            },
+            set: function (field, value) {
+                responseHeaders[field.toLowerCase()] = value;
+                return this;
+            },
+            json: function (body) {
+                this.set('Content-Type', 'application/json');
+                respond(JSON.stringify(body));
+                return this;
+            },
+            send: function (body) {
+                respond(typeof body === 'string' ? body : JSON.stringify(body));
+                return this;
+            },
+            end: function (body) {
+                respond(body);
+                return this;
+            }
+        };
+
+        middleware(req, res, function (err) {
+            // the middleware did not handle the request
+            statusCode = err ? 500 : 404;
+            respond('');
+        });
+
+        return {
+            abort: function () {
+                aborted = true;
+            }
+        };
+    };
+};
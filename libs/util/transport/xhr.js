@@ -0,0 +1,28 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/**
+ * Default transport of the client fetcher, which sends requests with XMLHttpRequest.
+ * See the rest-http module for the transport interface.
+ * @module transport/xhr
+ */
+var xhr = require('xhr');
+
+/**
+ * @method xhrTransport
+ * @param {Object} request  The request to send, with `url`, `method`, `headers`, `body` and `timeout`
+ * @param {Function} callback  Invoked with (error, response), where response is the XMLHttpRequest
+ * @return {Object} the XMLHttpRequest, which has an `abort()` method
+ */
+module.exports = function xhrTransport(request, callback) {
+    return xhr({
+        url: request.url,
+        method: request.method,
+        timeout: request.timeout,
+        headers: request.headers,
+        body: request.body
+    }, function (err, response) {
+        callback(err || null, response);
+    });
+};
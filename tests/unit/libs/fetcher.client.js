@@ -3,7 +3,7 @@
  * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
  */
 /*jshint expr:true*/
-/*globals before,after,describe,it */
+/*globals before,beforeEach,after,describe,it */
 "use strict";
 
 var expect = require('chai').expect,
@@ -15,6 +15,7 @@ describe('Client Fetcher', function () {
 
     describe('#CRUD', function () {
         var resource = 'mock_fetcher',
+            errorResource = 'mock_error_fetcher',
             params = {
                 uuids: [1,2,3,4,5],
                 category: '',
@@ -25,12 +26,18 @@ describe('Client Fetcher', function () {
                 crumb: 'stuff'
             },
             config = {},
+            getCount = 0,
+            abortCount = 0,
+            postBodies = [],
+            restCalls = [],
+            restConfigs = [],
             callback = function(operation, done) {
-                return function(err, data) {
+                return function(err, data, meta) {
                     if (err){
                         done(err);
                     }
                     expect(data.operation).to.equal(operation);
+                    expect(meta).to.deep.equal({cursor: 'next'});
                     done();
                 };
             };
@@ -38,6 +45,20 @@ describe('Client Fetcher', function () {
         before(function(){
             mockery.registerMock('./util/http.client', {
                 get: function (url, headers, config, done) {
+                    getCount += 1;
+                    if (url.indexOf('/api/resource/' + errorResource) === 0) {
+                        return done({
+                            statusCode: 404,
+                            statusText: 'Not Found',
+                            responseText: JSON.stringify({
+                                name: 'FetchrError',
+                                statusCode: 404,
+                                code: 'not_found',
+                                message: 'User not found',
+                                details: {id: 1}
+                            })
+                        });
+                    }
                     var urlBase = '/api/resource/',
                         urlParams,
                         pair;
@@ -59,24 +80,81 @@ describe('Client Fetcher', function () {
                             expect(params[k]).to.equal(v);
                         }
                     }
-                    done();
+                    var timer = setTimeout(function () {
+                        done(null, {
+                            responseText: JSON.stringify({
+                                data: {
+                                    operation: 'read'
+                                },
+                                meta: {
+                                    cursor: 'next'
+                                }
+                            })
+                        });
+                    }, 0);
+                    return {
+                        abort: function () {
+                            abortCount += 1;
+                            clearTimeout(timer);
+                        }
+                    };
+                },
+                put : function (url, headers, body, config, callback) {
+                    restCalls.push({method: 'PUT', url: url, body: body});
+                    restConfigs.push(config);
+                    callback(null, {
+                        responseText: JSON.stringify({data: {operation: 'update'}, meta: {}})
+                    });
+                },
+                'delete' : function (url, headers, config, callback) {
+                    restCalls.push({method: 'DELETE', url: url});
+                    restConfigs.push(config);
+                    callback(null, {
+                        responseText: JSON.stringify({data: {operation: 'delete'}, meta: {}})
+                    });
                 },
                 post : function (url, headers, body, config, callback) {
+                    if (url.indexOf('/api/resource/') === 0) {
+                        restCalls.push({method: 'POST', url: url, body: body});
+                        restConfigs.push(config);
+                        return callback(null, {
+                            responseText: JSON.stringify({data: {operation: 'create'}, meta: {}})
+                        });
+                    }
                     expect(url).to.not.be.empty;
                     expect(callback).to.exist;
                     expect(body).to.exist;
                     expect(url).to.equal('/api?crumb='+context.crumb);
+                    postBodies.push(body);
 
-                    var req = body.requests.g0,
-                        res = {
-                            g0: {
-                                data: req
-                            }
-                        };
+                    var res = {};
+                    Object.keys(body.requests).forEach(function (guid) {
+                        var req = body.requests[guid];
+                        if (req.resource === errorResource) {
+                            res[guid] = {
+                                err: {
+                                    statusCode: 404,
+                                    message: 'Not found'
+                                }
+                            };
+                        } else {
+                            res[guid] = {
+                                data: req,
+                                meta: {
+                                    cursor: 'next'
+                                }
+                            };
+                        }
+                    });
 
                     callback(null, {
                         responseText: JSON.stringify(res)
                     });
+                },
+                getTransport: function (transport) {
+                    if (transport && typeof transport !== 'function' && ['xhr', 'fetch'].indexOf(transport) === -1) {
+                        throw new Error('Unknown transport ' + transport);
+                    }
                 }
             });
             mockery.enable({
@@ -105,11 +183,11 @@ describe('Client Fetcher', function () {
         });
         it('should handle READ', function (done) {
             var operation = 'read';
-            fetcher[operation](resource, params, config, done);
+            fetcher[operation](resource, params, config, callback(operation, done));
         });
         it('should handle READ w/ no config', function (done) {
             var operation = 'read';
-            fetcher[operation](resource, params, done);
+            fetcher[operation](resource, params, callback(operation, done));
         });
         it('should handle UPDATE', function (done) {
             var operation = 'update';
@@ -127,6 +205,554 @@ describe('Client Fetcher', function () {
             var operation = 'delete';
             fetcher[operation](resource, params, callback(operation, done));
         });
+        it('should return a promise when no callback is given', function (done) {
+            fetcher.create(resource, params, body, config).then(function (result) {
+                expect(result.data.operation).to.equal('create');
+                expect(result.meta).to.deep.equal({cursor: 'next'});
+                done();
+            })['catch'](done);
+        });
+        it('should reject the promise on error', function (done) {
+            fetcher.update(errorResource, params, body).then(function () {
+                done(new Error('Not Expected: promise resolved'));
+            }, function (err) {
+                expect(err.statusCode).to.equal(404);
+                done();
+            })['catch'](done);
+        });
+        it('should run hooks before sending the request', function (done) {
+            var hookedFetcher = new Fetcher({
+                context: context
+            });
+            hookedFetcher.use(function (request, next) {
+                request.params = {id: 'normalized'};
+                next();
+            }).use(function (request, next) {
+                var callback = request.callback;
+                request.callback = function (err, data, meta) {
+                    data.transformed = true;
+                    callback(err, data, meta);
+                };
+                next();
+            });
+            hookedFetcher.create(resource, params, body, config, function (err, data) {
+                expect(err).to.be.null;
+                expect(data.params).to.deep.equal({id: 'normalized'});
+                expect(data.transformed).to.be.true;
+                done();
+            });
+        });
+        it('should allow hooks to end the request early', function (done) {
+            var hookedFetcher = new Fetcher({
+                context: context
+            });
+            hookedFetcher.use(function (request) {
+                request.callback({statusCode: 401, message: 'Unauthorized'});
+            });
+            hookedFetcher.read(resource, params, config, function (err) {
+                expect(err.statusCode).to.equal(401);
+                done();
+            });
+        });
+        describe('with identical reads in flight', function () {
+            beforeEach(function () {
+                getCount = 0;
+            });
+
+            it('should send identical reads only once', function (done) {
+                var results = [],
+                    complete = function (err, data, meta) {
+                        expect(err).to.be.null;
+                        results.push({data: data, meta: meta});
+                        if (results.length === 2) {
+                            expect(getCount).to.equal(1);
+                            expect(results[0]).to.deep.equal(results[1]);
+                            done();
+                        }
+                    };
+                fetcher.read(resource, params, config, complete);
+                fetcher.read(resource, {
+                    selected_filter: params.selected_filter,
+                    category: params.category,
+                    uuids: params.uuids
+                }, {}, complete);
+            });
+            it('should send reads again once the previous one completed', function (done) {
+                fetcher.read(resource, params, config, function () {
+                    fetcher.read(resource, params, config, function () {
+                        expect(getCount).to.equal(2);
+                        done();
+                    });
+                });
+            });
+            it('should not collapse reads when config.dedupe is false', function (done) {
+                var pending = 2,
+                    complete = function () {
+                        pending -= 1;
+                        if (pending === 0) {
+                            expect(getCount).to.equal(2);
+                            done();
+                        }
+                    };
+                fetcher.read(resource, params, {dedupe: false, consolidate: false}, complete);
+                fetcher.read(resource, params, {dedupe: false, consolidate: false}, complete);
+            });
+        });
+
+        describe('with batching', function () {
+            var guidCounts = function () {
+                return postBodies.map(function (postBody) {
+                    return Object.keys(postBody.requests).length;
+                });
+            };
+
+            beforeEach(function () {
+                getCount = 0;
+                postBodies = [];
+            });
+
+            it('should batch the requests made within the batch window by default', function (done) {
+                var pending = 2,
+                    complete = function (err, data) {
+                        expect(err).to.be.null;
+                        expect(data.operation).to.equal('read');
+                        pending -= 1;
+                        if (pending === 0) {
+                            expect(getCount).to.equal(0);
+                            expect(guidCounts()).to.deep.equal([2]);
+                            done();
+                        }
+                    };
+                fetcher.read(resource, {id: 1}, {}, complete);
+                fetcher.read(resource, {id: 2}, {}, complete);
+            });
+            it('should send the requests right away when flushed', function () {
+                var batchingFetcher = new Fetcher({context: context, batchWindow: 1000});
+                batchingFetcher.create(resource, {id: 1}, body, {});
+                batchingFetcher.create(resource, {id: 2}, body, {});
+                expect(postBodies).to.be.empty;
+                batchingFetcher.flush();
+                expect(guidCounts()).to.deep.equal([2]);
+            });
+            it('should only batch requests with the same transport config', function () {
+                var batchingFetcher = new Fetcher({context: context, batchWindow: 1000}),
+                    transport = function () {};
+                batchingFetcher.create(resource, {id: 1}, body, {timeout: 100});
+                batchingFetcher.create(resource, {id: 2}, body, {timeout: 20000});
+                batchingFetcher.create(resource, {id: 3}, body, {timeout: 100});
+                batchingFetcher.create(resource, {id: 4}, body, {transport: transport});
+                batchingFetcher.create(resource, {id: 5}, body, {transport: function () {}});
+                batchingFetcher.create(resource, {id: 6}, body, {transport: transport});
+                batchingFetcher.create(resource, {id: 7}, body, {});
+                batchingFetcher.create(resource, {id: 8}, body, {});
+                batchingFetcher.flush();
+                expect(guidCounts()).to.deep.equal([2, 1, 2, 1, 2]);
+                expect(postBodies[0].requests.g1.params).to.deep.equal({id: 3});
+                expect(postBodies[2].requests.g1.params).to.deep.equal({id: 6});
+            });
+            it('should not batch requests when the batch window is 0', function () {
+                var batchingFetcher = new Fetcher({context: context, batchWindow: 0});
+                batchingFetcher.create(resource, {id: 1}, body, {});
+                batchingFetcher.create(resource, {id: 2}, body, {});
+                expect(guidCounts()).to.deep.equal([1, 1]);
+            });
+            it('should not batch requests when options.batch is false', function (done) {
+                var batchingFetcher = new Fetcher({context: context, batch: false});
+                batchingFetcher.create(resource, {id: 1}, body, {});
+                batchingFetcher.create(resource, {id: 2}, body, {});
+                expect(guidCounts()).to.deep.equal([1, 1]);
+                done();
+            });
+            it('should send a batch as soon as it is full', function () {
+                var batchingFetcher = new Fetcher({context: context, batchWindow: 1000, maxBatchSize: 2});
+                batchingFetcher.create(resource, {id: 1}, body, {});
+                batchingFetcher.create(resource, {id: 2}, body, {});
+                batchingFetcher.create(resource, {id: 3}, body, {});
+                expect(guidCounts()).to.deep.equal([2]);
+                batchingFetcher.flush();
+                expect(guidCounts()).to.deep.equal([2, 1]);
+            });
+            it('should split batches bigger than maxBatchBytes', function () {
+                var batchingFetcher = new Fetcher({context: context, batchWindow: 1000, maxBatchBytes: 200});
+                batchingFetcher.create(resource, {id: 1}, body, {});
+                batchingFetcher.create(resource, {id: 2}, body, {});
+                batchingFetcher.create(resource, {id: 3}, {stuff: new Array(200).join('x')}, {});
+                batchingFetcher.flush();
+                expect(guidCounts()).to.deep.equal([2, 1]);
+            });
+            it('should measure maxBatchBytes in UTF-8 bytes', function () {
+                var batchingFetcher = new Fetcher({context: context, batchWindow: 1000, maxBatchBytes: 300}),
+                    euros = {stuff: new Array(41).join('\u20ac')};
+                batchingFetcher.create(resource, {id: 1}, euros, {});
+                batchingFetcher.create(resource, {id: 2}, euros, {});
+                batchingFetcher.flush();
+                expect(guidCounts()).to.deep.equal([1, 1]);
+            });
+        });
+
+        describe('with maxConcurrent', function () {
+            it('should send waiting requests by priority', function (done) {
+                var order = [],
+                    limitedFetcher = new Fetcher({context: context, batch: false, maxConcurrent: 1}),
+                    record = function (name) {
+                        return function (err) {
+                            expect(err).to.be.null;
+                            order.push(name);
+                            if (order.length === 4) {
+                                expect(order).to.deep.equal(['first', 'high', 'mutation', 'low']);
+                                done();
+                            }
+                        };
+                    };
+                limitedFetcher.read(resource, params, {dedupe: false}, record('first'));
+                limitedFetcher.read(resource, params, {dedupe: false, priority: 'low'}, record('low'));
+                limitedFetcher.read(resource, params, {dedupe: false, priority: 'high'}, record('high'));
+                limitedFetcher.create(resource, params, body, {}, record('mutation'));
+            });
+            it('should not send aborted requests that are waiting', function (done) {
+                var limitedFetcher = new Fetcher({context: context, batch: false, maxConcurrent: 1});
+                getCount = 0;
+                limitedFetcher.read(resource, params, {dedupe: false}, function (err) {
+                    expect(err).to.be.null;
+                    setTimeout(function () {
+                        expect(getCount).to.equal(1);
+                        done();
+                    }, 10);
+                });
+                limitedFetcher.read(resource, params, {dedupe: false}, function (err) {
+                    expect(err.code).to.equal('aborted');
+                }).abort();
+            });
+        });
+
+        describe('with aborted requests', function () {
+            // sent right away, so that the xhr is aborted
+            var unbatched = {consolidate: false},
+                expectAborted = function (err, data) {
+                    expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+                    expect(err.code).to.equal('aborted');
+                    expect(data).to.be.undefined;
+                };
+
+            beforeEach(function () {
+                getCount = 0;
+                abortCount = 0;
+                postBodies = [];
+            });
+
+            it('should abort the xhr with the returned handle', function (done) {
+                var calls = 0,
+                    handle = fetcher.read(resource, params, unbatched, function (err, data) {
+                        calls += 1;
+                        expectAborted(err, data);
+                    });
+                handle.abort();
+                handle.abort();
+                setTimeout(function () {
+                    expect(calls).to.equal(1);
+                    expect(getCount).to.equal(1);
+                    expect(abortCount).to.equal(1);
+                    done();
+                }, 10);
+            });
+            it('should reject the promise when it is aborted', function (done) {
+                var promise = fetcher.read(resource, params, unbatched);
+                promise.abort();
+                promise.then(function () {
+                    done(new Error('Not Expected: promise resolved'));
+                }, function (err) {
+                    expectAborted(err);
+                    expect(abortCount).to.equal(1);
+                    done();
+                })['catch'](done);
+            });
+            it('should abort the request when config.signal is aborted', function (done) {
+                var listeners = [],
+                    signal = {
+                        aborted: false,
+                        addEventListener: function (type, listener) {
+                            expect(type).to.equal('abort');
+                            listeners.push(listener);
+                        },
+                        removeEventListener: function (type, listener) {
+                            listeners.splice(listeners.indexOf(listener), 1);
+                        }
+                    };
+                fetcher.read(resource, params, {signal: signal, consolidate: false}, function (err, data) {
+                    expectAborted(err, data);
+                    expect(abortCount).to.equal(1);
+                    expect(listeners).to.be.empty;
+                    done();
+                });
+                listeners[0]();
+            });
+            it('should not send requests whose signal is already aborted', function (done) {
+                fetcher.read(resource, params, {signal: {aborted: true}}, function (err, data) {
+                    expectAborted(err, data);
+                    expect(getCount).to.equal(0);
+                    done();
+                });
+            });
+            it('should remove aborted requests from the batching queue', function (done) {
+                var batchConfig = {consolidate: true};
+                fetcher.create(resource, {id: 1}, body, batchConfig, expectAborted).abort();
+                fetcher.create(resource, {id: 2}, body, batchConfig, function (err, data) {
+                    expect(err).to.be.null;
+                    expect(data.params).to.deep.equal({id: 2});
+                    expect(postBodies).to.have.length(1);
+                    expect(Object.keys(postBodies[0].requests)).to.deep.equal(['g0']);
+                    done();
+                });
+            });
+            it('should keep sending identical reads until all of them are aborted', function (done) {
+                var first = fetcher.read(resource, params, unbatched, expectAborted),
+                    second;
+                fetcher.read(resource, params, unbatched, function (err, data) {
+                    expect(err).to.be.null;
+                    expect(data.operation).to.equal('read');
+                    expect(abortCount).to.equal(0);
+                    second = fetcher.read(resource, params, unbatched, expectAborted);
+                    fetcher.read(resource, params, unbatched, expectAborted).abort();
+                    second.abort();
+                    expect(abortCount).to.equal(1);
+                    done();
+                });
+                first.abort();
+            });
+        });
+
+        describe('with initial data', function () {
+            var hydratedFetcher;
+
+            beforeEach(function () {
+                getCount = 0;
+                hydratedFetcher = new Fetcher({
+                    context: context,
+                    initialData: [{
+                        resource: resource,
+                        params: params,
+                        data: {operation: 'dehydrated'},
+                        meta: {cursor: 'dehydrated'}
+                    }]
+                });
+            });
+
+            it('should serve a read from the initial data once', function (done) {
+                hydratedFetcher.read(resource, params, config, function (err, data, meta) {
+                    expect(err).to.be.null;
+                    expect(getCount).to.equal(0);
+                    expect(data).to.deep.equal({operation: 'dehydrated'});
+                    expect(meta).to.deep.equal({cursor: 'dehydrated'});
+                    hydratedFetcher.read(resource, params, config, function (err, data) {
+                        expect(getCount).to.equal(1);
+                        expect(data.operation).to.equal('read');
+                        done();
+                    });
+                });
+            });
+            it('should drop the initial data of a resource once it is mutated', function (done) {
+                hydratedFetcher.update(resource, params, body, config, function () {
+                    hydratedFetcher.read(resource, params, config, function (err, data) {
+                        expect(getCount).to.equal(1);
+                        expect(data.operation).to.equal('read');
+                        done();
+                    });
+                });
+            });
+        });
+
+        describe('with REST transport', function () {
+            var restFetcher;
+
+            beforeEach(function () {
+                restCalls = [];
+                restConfigs = [];
+                restFetcher = new Fetcher({
+                    rest: true,
+                    context: context
+                });
+            });
+
+            it('should send create as POST', function (done) {
+                restFetcher.create(resource, {id: 1}, body, config, function (err, data) {
+                    expect(err).to.be.null;
+                    expect(data.operation).to.equal('create');
+                    expect(restCalls).to.deep.equal([{
+                        method: 'POST',
+                        url: '/api/resource/' + resource + ';id=1?crumb=stuff',
+                        body: body
+                    }]);
+                    done();
+                });
+            });
+            it('should send update as PUT', function (done) {
+                restFetcher.update(resource, {id: 1}, body, {id_param: 'id', consolidate: true}, function (err, data) {
+                    expect(err).to.be.null;
+                    expect(data.operation).to.equal('update');
+                    expect(restCalls).to.deep.equal([{
+                        method: 'PUT',
+                        url: '/api/resource/' + resource + '/id/1?crumb=stuff',
+                        body: body
+                    }]);
+                    done();
+                });
+            });
+            it('should send delete as DELETE', function (done) {
+                restFetcher['delete'](resource, {id: 1}, config, function (err, data) {
+                    expect(err).to.be.null;
+                    expect(data.operation).to.equal('delete');
+                    expect(restCalls).to.deep.equal([{
+                        method: 'DELETE',
+                        url: '/api/resource/' + resource + ';id=1?crumb=stuff'
+                    }]);
+                    done();
+                });
+            });
+            it('should not retry mutations unless unsafeAllowRetry is set', function (done) {
+                restFetcher.update(resource, {id: 1}, body, {}, function () {
+                    restFetcher['delete'](resource, {id: 1}, {unsafeAllowRetry: true}, function () {
+                        expect(restConfigs[0].retry.max_retries).to.equal(0);
+                        expect(restConfigs[1]).to.not.have.property('retry');
+                        expect(restConfigs[1].unsafeAllowRetry).to.equal(true);
+                        done();
+                    });
+                });
+            });
+            it('should pass the sendTimeout option to the requests', function (done) {
+                restFetcher = new Fetcher({
+                    rest: true,
+                    context: context,
+                    sendTimeout: false
+                });
+                restFetcher['delete'](resource, {id: 1}, {}, function () {
+                    restFetcher['delete'](resource, {id: 1}, {sendTimeout: true}, function () {
+                        expect(restConfigs[0].sendTimeout).to.equal(false);
+                        expect(restConfigs[1].sendTimeout).to.equal(true);
+                        done();
+                    });
+                });
+            });
+        });
+
+        describe('with cache', function () {
+            var cachedFetcher;
+
+            beforeEach(function () {
+                getCount = 0;
+                cachedFetcher = new Fetcher({
+                    context: context,
+                    cache: {}
+                });
+            });
+
+            it('should serve identical reads from the cache', function (done) {
+                cachedFetcher.read(resource, params, config, function (err, data, meta) {
+                    expect(err).to.be.null;
+                    cachedFetcher.read(resource, params, {}, function (err, cachedData, cachedMeta) {
+                        expect(err).to.be.null;
+                        expect(getCount).to.equal(1);
+                        expect(cachedData).to.deep.equal(data);
+                        expect(cachedMeta).to.deep.equal(meta);
+                        done();
+                    });
+                });
+            });
+            it('should skip the cache when config.cache is false', function (done) {
+                cachedFetcher.read(resource, params, config, function () {
+                    cachedFetcher.read(resource, params, {cache: false}, function () {
+                        expect(getCount).to.equal(2);
+                        done();
+                    });
+                });
+            });
+            it('should invalidate reads of a resource on successful mutations', function (done) {
+                cachedFetcher.read(resource, params, config, function () {
+                    cachedFetcher.update(resource, params, body, config, function () {
+                        cachedFetcher.read(resource, params, config, function () {
+                            expect(getCount).to.equal(2);
+                            done();
+                        });
+                    });
+                });
+            });
+            it('should invalidate reads with fetcher.invalidate', function (done) {
+                cachedFetcher.read(resource, params, config, function () {
+                    cachedFetcher.invalidate(resource, params);
+                    cachedFetcher.read(resource, params, config, function () {
+                        cachedFetcher.invalidate(resource);
+                        cachedFetcher.read(resource, params, config, function () {
+                            expect(getCount).to.equal(3);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+        it('should throw for unknown transports before sending any request', function () {
+            expect(function () {
+                new Fetcher({transport: 'fecth'});
+            }).to.throw(Error, 'Unknown transport fecth');
+            expect(function () {
+                fetcher.read(resource, params, {transport: 'fecth'}, function () {});
+            }).to.throw(Error, 'Unknown transport fecth');
+            expect(fetcher._scheduler._running).to.equal(0);
+        });
+
+        it('should rebuild errors sent by the server as FetchrError', function (done) {
+            fetcher.read(errorResource, params, config, function (err, data) {
+                expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+                expect(err.statusCode).to.equal(404);
+                expect(err.code).to.equal('not_found');
+                expect(err.message).to.equal('User not found');
+                expect(err.details).to.deep.equal({id: 1});
+                expect(err.statusText).to.equal('Not Found');
+                expect(data).to.be.undefined;
+                done();
+            });
+        });
+        it('should pass a FetchrError when the crumb is missing', function (done) {
+            var crumblessFetcher = new Fetcher({
+                requireCrumb: true
+            });
+            crumblessFetcher.create(resource, params, body, config, function (err) {
+                expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+                expect(err.statusCode).to.equal(400);
+                expect(err.code).to.equal('missing_crumb');
+                done();
+            });
+        });
+        it('should pass POST errors to the callback', function (done) {
+            fetcher.create(errorResource, params, body, config, function (err, data) {
+                expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+                expect(err.statusCode).to.equal(404);
+                expect(err.message).to.equal('Not found');
+                expect(data).to.be.undefined;
+                done();
+            });
+        });
+        it('should route batched errors to the matching callback', function (done) {
+            var pending = 2,
+                batchConfig = {consolidate: true},
+                complete = function () {
+                    pending -= 1;
+                    if (pending === 0) {
+                        done();
+                    }
+                };
+            fetcher.create(resource, params, body, batchConfig, function (err, data, meta) {
+                expect(err).to.be.null;
+                expect(data.operation).to.equal('create');
+                expect(meta).to.deep.equal({cursor: 'next'});
+                complete();
+            });
+            fetcher.create(errorResource, params, body, batchConfig, function (err, data) {
+                expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+                expect(err.statusCode).to.equal(404);
+                expect(err.message).to.equal('Not found');
+                expect(data).to.be.undefined;
+                complete();
+            });
+        });
     });
 
 });
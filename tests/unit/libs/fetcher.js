@@ -3,7 +3,7 @@
  * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
  */
 /*jshint expr:true*/
-/*globals before,describe,it */
+/*globals before,after,afterEach,describe,it */
 "use strict";
 
 var chai = require('chai');
@@ -16,7 +16,9 @@ var expect = chai.expect,
     mockFetcher = require('../../mock/fakeFetcher'),
     mockErrorFetcher = require('../../mock/fakeErrorFetcher'),
     _ = require('lodash'),
-    qs = require('querystring');
+    qs = require('querystring'),
+    codec = require('../../../libs/util/codec'),
+    Promise = require('es6-promise').Promise;
 
 describe('Server Fetcher', function () {
 
@@ -153,6 +155,7 @@ describe('Server Fetcher', function () {
                             expect(data.operation.success).to.be.true;
                             expect(data.args).to.contain.keys('params');
                             expect(data.args.params).to.equal(req.body.requests.g0.params);
+                            expect(response.g0.meta).to.deep.equal({statusCode: statusCode, cursor: 'next'});
                             done();
                         },
                         status: function(code) {
@@ -170,13 +173,309 @@ describe('Server Fetcher', function () {
                     middleware = Fetcher.middleware({pathPrefix: '/api'});
 
                 mockFetcher.meta = {
-                    statusCode: statusCode
+                    statusCode: statusCode,
+                    cursor: 'next'
                 };
 
                 middleware(req, res, next);
                 expect(statusCodeSet).to.be.true;
             });
 
+            it('should pass the context of POST api requests to the fetchers', function (done) {
+                var req = {
+                        method: 'POST',
+                        path: '/',
+                        query: {
+                            lang: 'en-US',
+                            site: 'my'
+                        },
+                        body: {
+                            requests: {
+                                g0: {
+                                    resource: mockFetcher.name,
+                                    operation: 'read',
+                                    params: {}
+                                },
+                                g1: {
+                                    resource: mockFetcher.name,
+                                    operation: 'create',
+                                    params: {}
+                                }
+                            },
+                            context: {
+                                site: 'other',
+                                device: 'desktop'
+                            }
+                        }
+                    },
+                    res = {
+                        json: function(response) {
+                            var expected = {
+                                context: {
+                                    lang: 'en-US',
+                                    site: 'other',
+                                    device: 'desktop'
+                                }
+                            };
+                            expect(response.g0.data.args.context).to.deep.equal(expected);
+                            expect(response.g1.data.args.context).to.deep.equal(expected);
+                            done();
+                        },
+                        status: function() {
+                            return this;
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    },
+                    middleware = Fetcher.middleware();
+
+                middleware(req, res, next);
+            });
+
+            it('should merge headers returned in meta of batched POST api requests', function (done) {
+                var headers = {},
+                    headersFetcher = {
+                        name: 'headers_fetcher',
+                        read: function (req, resource, params, config, callback) {
+                            callback(null, {}, {headers: params.headers});
+                        }
+                    },
+                    req = {
+                        method: 'POST',
+                        path: '/resource/' + headersFetcher.name,
+                        body: {
+                            requests: {
+                                g0: {
+                                    resource: headersFetcher.name,
+                                    operation: 'read',
+                                    params: {
+                                        headers: {
+                                            'Cache-Control': 'no-cache',
+                                            'ETag': '"abc"',
+                                            'Set-Cookie': 'a=1'
+                                        }
+                                    }
+                                },
+                                g1: {
+                                    resource: headersFetcher.name,
+                                    operation: 'read',
+                                    params: {
+                                        headers: {
+                                            'cache-control': 'max-age=60',
+                                            'set-cookie': ['b=2', 'c=3'],
+                                            'X-Custom': 'custom'
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    res = {
+                        json: function(responseObj) {
+                            delete Fetcher.fetchers[headersFetcher.name];
+                            expect(responseObj.g0.meta).to.not.have.property('headers');
+                            expect(responseObj.g1.meta).to.not.have.property('headers');
+                            expect(headers).to.deep.equal({
+                                'Cache-Control': 'no-cache',
+                                'Set-Cookie': ['a=1', 'b=2', 'c=3'],
+                                'X-Custom': 'custom'
+                            });
+                            done();
+                        },
+                        set: function (field, value) {
+                            headers[field] = value;
+                            return this;
+                        },
+                        status: function(code) {
+                            expect(code).to.equal(200);
+                            return this;
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    },
+                    middleware = Fetcher.middleware();
+
+                Fetcher.registerFetcher(headersFetcher);
+                middleware(req, res, next);
+            });
+
+            it('should keep the most restrictive Cache-Control of batched POST api requests', function (done) {
+                var batches = [
+                        {
+                            values: ['public, max-age=3600', 'private, no-store'],
+                            expected: 'no-store'
+                        },
+                        {
+                            values: ['public, max-age=3600', 'private, max-age=60, s-maxage=60'],
+                            expected: 'private, max-age=60'
+                        },
+                        {
+                            values: ['public, max-age=3600', 'public, max-age=600'],
+                            expected: 'public, max-age=600'
+                        },
+                        {
+                            values: ['public, max-age=3600', null],
+                            expected: undefined
+                        }
+                    ],
+                    headersFetcher = {
+                        name: 'headers_fetcher',
+                        read: function (req, resource, params, config, callback) {
+                            callback(null, {}, params.cacheControl ? {headers: {'Cache-Control': params.cacheControl}} : {});
+                        }
+                    },
+                    middleware = Fetcher.middleware();
+
+                function run(index) {
+                    var batch = batches[index],
+                        headers = {};
+                    if (!batch) {
+                        delete Fetcher.fetchers[headersFetcher.name];
+                        done();
+                        return;
+                    }
+                    middleware({
+                        method: 'POST',
+                        path: '/',
+                        body: {
+                            requests: {
+                                g0: {resource: headersFetcher.name, operation: 'read', params: {cacheControl: batch.values[0]}},
+                                g1: {resource: headersFetcher.name, operation: 'read', params: {cacheControl: batch.values[1]}}
+                            }
+                        }
+                    }, {
+                        json: function () {
+                            expect(headers['Cache-Control']).to.equal(batch.expected);
+                            run(index + 1);
+                        },
+                        set: function (field, value) {
+                            headers[field] = value;
+                            return this;
+                        },
+                        status: function () {
+                            return this;
+                        }
+                    }, function () {
+                        done(new Error('Not Expected: middleware skipped request'));
+                    });
+                }
+
+                Fetcher.registerFetcher(headersFetcher);
+                run(0);
+            });
+
+            it('should respond with an error to POST api requests with a null request', function (done) {
+                var req = {
+                        method: 'POST',
+                        path: '/',
+                        body: {
+                            requests: {
+                                g0: null
+                            }
+                        }
+                    },
+                    res = {
+                        status: function (code) {
+                            expect(code).to.equal(404);
+                            return this;
+                        },
+                        json: function (response) {
+                            expect(response.code).to.equal('unknown_resource');
+                            done();
+                        }
+                    };
+                Fetcher.middleware()(req, res, function () {
+                    done(new Error('Not Expected: next called'));
+                });
+            });
+
+            describe('with crumb validation', function () {
+                var makeCrumbRequest = function (operation, crumb) {
+                        return {
+                            method: 'POST',
+                            path: '/',
+                            query: {},
+                            body: {
+                                requests: {
+                                    g0: {
+                                        resource: mockFetcher.name,
+                                        operation: operation,
+                                        params: {}
+                                    }
+                                },
+                                context: {
+                                    crumb: crumb
+                                }
+                            }
+                        };
+                    },
+                    middleware = Fetcher.middleware({
+                        validateCrumb: function (req, crumb) {
+                            return crumb === 'valid';
+                        }
+                    }),
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    };
+
+                it('should reject mutations with an invalid crumb', function (done) {
+                    var res = {
+                        json: function (response) {
+                            expect(response.code).to.equal('invalid_crumb');
+                            expect(response.message).to.equal('invalid crumb');
+                            done();
+                        },
+                        status: function (code) {
+                            expect(code).to.equal(403);
+                            return this;
+                        }
+                    };
+                    middleware(makeCrumbRequest('create', 'invalid'), res, next);
+                });
+                it('should reject mutations without a crumb', function (done) {
+                    var res = {
+                        status: function (code) {
+                            expect(code).to.equal(403);
+                            return this;
+                        },
+                        json: function () {
+                            done();
+                        }
+                    };
+                    middleware(makeCrumbRequest('delete'), res, next);
+                });
+                it('should accept mutations with a valid crumb in the query string', function (done) {
+                    var req = makeCrumbRequest('update'),
+                        res = {
+                            json: function (response) {
+                                expect(response.g0.data.operation.name).to.equal('update');
+                                done();
+                            },
+                            status: function (code) {
+                                expect(code).to.equal(200);
+                                return this;
+                            }
+                        };
+                    req.query.crumb = 'valid';
+                    middleware(req, res, next);
+                });
+                it('should not validate the crumb of reads', function (done) {
+                    var res = {
+                        json: function (response) {
+                            expect(response.g0.data.operation.name).to.equal('read');
+                            done();
+                        },
+                        status: function (code) {
+                            expect(code).to.equal(200);
+                            return this;
+                        }
+                    };
+                    middleware(makeCrumbRequest('read'), res, next);
+                });
+            });
+
             var makePostApiErrorTest = function(params, expStatusCode, expMessage) {
                 return function(done) {
                     var operation = 'create',
@@ -200,7 +499,15 @@ describe('Server Fetcher', function () {
                         },
                         res = {
                             json: function(response) {
-                                console.log('Not Expected: middleware responded with', response);
+                                expect(response).to.deep.equal({
+                                    name: 'FetchrError',
+                                    statusCode: expStatusCode,
+                                    code: null,
+                                    message: expMessage,
+                                    details: null,
+                                    create: 'error'
+                                });
+                                done();
                             },
                             status: function(code) {
                                 expect(code).to.equal(expStatusCode);
@@ -208,8 +515,7 @@ describe('Server Fetcher', function () {
                                 return this;
                             },
                             send: function (data) {
-                                expect(data).to.equal(expMessage);
-                                done();
+                                console.log('Not Expected: middleware responded with', data);
                             }
                         },
                         next = function () {
@@ -221,6 +527,74 @@ describe('Server Fetcher', function () {
                 };
             };
 
+            it('should respond to batched POST api requests', function (done) {
+                var statusCodeSet = false,
+                    req = {
+                        method: 'POST',
+                        path: '/resource/' + mockFetcher.name,
+                        body: {
+                            requests: {
+                                g0: {
+                                    resource: mockFetcher.name,
+                                    operation: 'read',
+                                    params: {
+                                        id: 'asdf'
+                                    }
+                                },
+                                g1: {
+                                    resource: mockFetcher.name,
+                                    operation: 'create',
+                                    params: {
+                                        id: 'qwer'
+                                    }
+                                },
+                                g2: {
+                                    resource: mockErrorFetcher.name,
+                                    operation: 'read',
+                                    params: {
+                                        statusCode: 404,
+                                        message: 'Not found'
+                                    }
+                                }
+                            },
+                            context: {
+                                site: '',
+                                devide: ''
+                            }
+                        }
+                    },
+                    res = {
+                        json: function(response) {
+                            expect(response).to.have.keys('g0', 'g1', 'g2');
+                            expect(response.g0.data.operation.name).to.equal('read');
+                            expect(response.g0.data.args.params).to.equal(req.body.requests.g0.params);
+                            expect(response.g0.meta).to.deep.equal({});
+                            expect(response.g1.data.operation.name).to.equal('create');
+                            expect(response.g1.data.args.params).to.equal(req.body.requests.g1.params);
+                            expect(response.g2.data).to.be.undefined;
+                            expect(response.g2.err.statusCode).to.equal(404);
+                            expect(response.g2.err.message).to.equal('Not found');
+                            expect(response.g2.err.read).to.equal('error');
+                            done();
+                        },
+                        status: function(code) {
+                            expect(code).to.equal(200);
+                            statusCodeSet = true;
+                            return this;
+                        },
+                        send: function (code) {
+                            console.log('Not Expected: middleware responded with', code);
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    },
+                    middleware = Fetcher.middleware();
+
+                middleware(req, res, next);
+                expect(statusCodeSet).to.be.true;
+            });
+
             it('should respond to POST api request with default error details',
                makePostApiErrorTest({}, 400, 'request failed'));
 
@@ -247,11 +621,14 @@ describe('Server Fetcher', function () {
                         json: function(response) {
                             expect(response).to.exist;
                             expect(response).to.not.be.empty;
-                            expect(response).to.contain.keys('operation', 'args');
-                            expect(response.operation.name).to.equal(operation);
-                            expect(response.operation.success).to.be.true;
-                            expect(response.args).to.contain.keys('params');
-                            expect(response.args.params).to.deep.equal(params);
+                            expect(response).to.contain.keys('data', 'meta');
+                            var data = response.data;
+                            expect(data).to.contain.keys('operation', 'args');
+                            expect(data.operation.name).to.equal(operation);
+                            expect(data.operation.success).to.be.true;
+                            expect(data.args).to.contain.keys('params');
+                            expect(data.args.params).to.deep.equal(params);
+                            expect(response.meta).to.deep.equal({});
                             done();
                         },
                         status: function(code) {
@@ -287,11 +664,14 @@ describe('Server Fetcher', function () {
                         json: function(response) {
                             expect(response).to.exist;
                             expect(response).to.not.be.empty;
-                            expect(response).to.contain.keys('operation', 'args');
-                            expect(response.operation.name).to.equal(operation);
-                            expect(response.operation.success).to.be.true;
-                            expect(response.args).to.contain.keys('params');
-                            expect(response.args.params).to.deep.equal(params);
+                            expect(response).to.contain.keys('data', 'meta');
+                            var data = response.data;
+                            expect(data).to.contain.keys('operation', 'args');
+                            expect(data.operation.name).to.equal(operation);
+                            expect(data.operation.success).to.be.true;
+                            expect(data.args).to.contain.keys('params');
+                            expect(data.args.params).to.deep.equal(params);
+                            expect(response.meta).to.deep.equal({statusCode: statusCode, cursor: 'next'});
                             done();
                         },
                         status: function(code) {
@@ -309,12 +689,164 @@ describe('Server Fetcher', function () {
                     middleware = Fetcher.middleware({pathPrefix: '/api'});
 
                 mockFetcher.meta = {
-                    statusCode: statusCode
+                    statusCode: statusCode,
+                    cursor: 'next'
                 };
                 middleware(req, res, next);
                 expect(statusCodeSet).to.be.true;
             });
 
+            it('should set headers returned in meta on GET api request', function (done) {
+                var headers = {},
+                    req = {
+                        method: 'GET',
+                        path: '/resource/' + mockFetcher.name + ';' + qs.stringify({id: 'asdf'}, ';')
+                    },
+                    res = {
+                        json: function(response) {
+                            expect(headers).to.deep.equal({
+                                'Cache-Control': 'max-age=60',
+                                'ETag': '"abc"'
+                            });
+                            expect(response.meta).to.not.have.property('headers');
+                            done();
+                        },
+                        set: function (field, value) {
+                            headers[field] = value;
+                            return this;
+                        },
+                        status: function() {
+                            return this;
+                        },
+                        send: function (code) {
+                            console.log('Not Expected: middleware responded with', code);
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    },
+                    middleware = Fetcher.middleware();
+
+                mockFetcher.meta = {
+                    headers: {
+                        'Cache-Control': 'max-age=60',
+                        'ETag': '"abc"'
+                    }
+                };
+                middleware(req, res, next);
+            });
+
+            it('should decode GET api request params with their types', function (done) {
+                var params = {
+                        id: 42,
+                        name: '42',
+                        enabled: true,
+                        uuids: ['cd7240d6-aeed-3fed-b63c-d7e99e21ca17'],
+                        filter: {category: 'news'}
+                    },
+                    req = {
+                        method: 'GET',
+                        path: '/resource/' + mockFetcher.name + ';' + codec.encodeMatrix(params)
+                    },
+                    res = {
+                        json: function(response) {
+                            expect(response.data.args.params).to.deep.equal(params);
+                            done();
+                        },
+                        status: function() {
+                            return this;
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    },
+                    middleware = Fetcher.middleware();
+
+                middleware(req, res, next);
+            });
+
+            it('should decode the id_param path segments of GET api request', function (done) {
+                var req = {
+                        method: 'GET',
+                        path: '/resource/' + mockFetcher.name + '/id/' + encodeURIComponent('a/b') + ';page=2'
+                    },
+                    res = {
+                        json: function(response) {
+                            expect(response.data.args.resource).to.equal(mockFetcher.name);
+                            expect(response.data.args.params).to.deep.equal({
+                                id: 'a/b',
+                                page: 2
+                            });
+                            done();
+                        },
+                        status: function(code) {
+                            expect(code).to.equal(200);
+                            return this;
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    },
+                    middleware = Fetcher.middleware();
+
+                middleware(req, res, next);
+            });
+
+            it('should decode numeric id_param path segments of GET api request', function (done) {
+                var req = {
+                        method: 'GET',
+                        path: '/resource/' + mockFetcher.name + '/userId/123'
+                    },
+                    res = {
+                        json: function(response) {
+                            expect(response.data.args.params).to.deep.equal({userId: 123});
+                            done();
+                        },
+                        status: function() {
+                            return this;
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    },
+                    middleware = Fetcher.middleware();
+
+                middleware(req, res, next);
+            });
+
+            it('should pass the context of GET api request to the fetcher', function (done) {
+                var req = {
+                        method: 'GET',
+                        path: '/resource/' + mockFetcher.name + ';id=asdf',
+                        query: {
+                            lang: 'en-US',
+                            site: 'my',
+                            flags: '{"beta":true}'
+                        }
+                    },
+                    res = {
+                        json: function(response) {
+                            expect(response.data.args.context).to.deep.equal({
+                                context: {
+                                    lang: 'en-US',
+                                    site: 'my',
+                                    flags: {beta: true}
+                                }
+                            });
+                            done();
+                        },
+                        status: function() {
+                            return this;
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    },
+                    middleware = Fetcher.middleware();
+
+                middleware(req, res, next);
+            });
+
             var makeGetApiErrorTest = function(params, expStatusCode, expMessage) {
                 return function(done) {
                     var operation = 'read',
@@ -325,7 +857,15 @@ describe('Server Fetcher', function () {
                         },
                         res = {
                             json: function(response) {
-                                console.log('Not Expected: middleware responded with', response);
+                                expect(response).to.deep.equal({
+                                    name: 'FetchrError',
+                                    statusCode: expStatusCode,
+                                    code: null,
+                                    message: expMessage,
+                                    details: null,
+                                    read: 'error'
+                                });
+                                done();
                             },
                             status: function(code) {
                                 expect(code).to.equal(expStatusCode);
@@ -333,8 +873,7 @@ describe('Server Fetcher', function () {
                                 return this;
                             },
                             send: function (data) {
-                                expect(data).to.equal(expMessage);
-                                done();
+                                console.log('Not Expected: middleware responded with', data);
                             }
                         },
                         next = function () {
@@ -354,6 +893,180 @@ describe('Server Fetcher', function () {
 
             it('should respond to GET api request with custom error message',
                makeGetApiErrorTest({message: 'Error message...'}, 400, 'Error message...'));
+
+            it('should respond 400 to GET api request with malformed escape sequences', function (done) {
+                var req = {
+                        method: 'GET',
+                        path: '/resource/' + mockFetcher.name + ';a=%E0%A4%A'
+                    },
+                    res = {
+                        json: function (response) {
+                            expect(response.code).to.equal('invalid_request');
+                            done();
+                        },
+                        status: function (code) {
+                            expect(code).to.equal(400);
+                            return this;
+                        }
+                    },
+                    next = function () {
+                        console.log('Not Expected: middleware skipped request');
+                    };
+                Fetcher.middleware()(req, res, next);
+            });
+        });
+    });
+
+    describe('#middleware with REST routes', function () {
+        var middleware = Fetcher.middleware({
+                rest: true,
+                validateCrumb: function (req, crumb) {
+                    return crumb === 'valid';
+                }
+            }),
+            next = function () {
+                console.log('Not Expected: middleware skipped request');
+            },
+            makeRestTest = function (method, path, operation) {
+                return function (done) {
+                    var req = {
+                            method: method,
+                            path: path,
+                            query: {
+                                crumb: 'valid'
+                            },
+                            body: {
+                                name: 'fetchr'
+                            }
+                        },
+                        res = {
+                            json: function (response) {
+                                expect(response.data.operation.name).to.equal(operation);
+                                expect(response.data.args.params).to.deep.equal({id: 123, lang: 'en'});
+                                done();
+                            },
+                            status: function (code) {
+                                expect(code).to.equal(200);
+                                return this;
+                            },
+                            send: function (data) {
+                                console.log('Not Expected: middleware responded with', data);
+                            }
+                        };
+                    middleware(req, res, next);
+                };
+            };
+
+        it('should map POST to create', makeRestTest('POST', '/resource/' + mockFetcher.name + '/123;lang=en', 'create'));
+        it('should map PUT to update', makeRestTest('PUT', '/resource/' + mockFetcher.name + '/123;lang=en', 'update'));
+        it('should map PATCH to update', makeRestTest('PATCH', '/resource/' + mockFetcher.name + '/id/123;lang=en', 'update'));
+        it('should map DELETE to delete', makeRestTest('DELETE', '/resource/' + mockFetcher.name + '/123;lang=en', 'delete'));
+        it('should map GET to read', makeRestTest('GET', '/resource/' + mockFetcher.name + '/123;lang=en', 'read'));
+
+        it('should pass the request body to the fetcher', function (done) {
+            var bodyFetcher = {
+                    name: 'body_fetcher',
+                    update: function (req, resource, params, body, config, callback) {
+                        callback(null, body);
+                    }
+                },
+                req = {
+                    method: 'PUT',
+                    path: '/resource/' + bodyFetcher.name + '/1',
+                    query: {
+                        crumb: 'valid'
+                    },
+                    body: {
+                        name: 'fetchr'
+                    }
+                },
+                res = {
+                    json: function (response) {
+                        delete Fetcher.fetchers[bodyFetcher.name];
+                        expect(response.data).to.deep.equal({name: 'fetchr'});
+                        done();
+                    },
+                    status: function () {
+                        return this;
+                    }
+                };
+            Fetcher.registerFetcher(bodyFetcher);
+            middleware(req, res, next);
+        });
+        it('should validate the crumb of mutations', function (done) {
+            var req = {
+                    method: 'DELETE',
+                    path: '/resource/' + mockFetcher.name + '/123',
+                    query: {}
+                },
+                res = {
+                    status: function (code) {
+                        expect(code).to.equal(403);
+                        return this;
+                    },
+                    json: function () {
+                        done();
+                    }
+                };
+            middleware(req, res, next);
+        });
+        it('should respond 400 to malformed escape sequences in the id', function (done) {
+            var req = {
+                    method: 'GET',
+                    path: '/resource/' + mockFetcher.name + '/%E0%A4%A'
+                },
+                res = {
+                    status: function (code) {
+                        expect(code).to.equal(400);
+                        return this;
+                    },
+                    json: function (response) {
+                        expect(response.code).to.equal('invalid_request');
+                        done();
+                    }
+                };
+            middleware(req, res, next);
+        });
+        it('should respond 405 to unsupported methods', function (done) {
+            var req = {
+                    method: 'OPTIONS',
+                    path: '/resource/' + mockFetcher.name
+                },
+                res = {
+                    status: function (code) {
+                        expect(code).to.equal(405);
+                        return this;
+                    },
+                    json: function () {
+                        done();
+                    }
+                };
+            middleware(req, res, next);
+        });
+        it('should still accept the requests envelope', function (done) {
+            var req = {
+                    method: 'POST',
+                    path: '/',
+                    body: {
+                        requests: {
+                            g0: {
+                                resource: mockFetcher.name,
+                                operation: 'read',
+                                params: {}
+                            }
+                        }
+                    }
+                },
+                res = {
+                    json: function (response) {
+                        expect(response.g0.data.operation.name).to.equal('read');
+                        done();
+                    },
+                    status: function () {
+                        return this;
+                    }
+                };
+            middleware(req, res, next);
         });
     });
 
@@ -406,6 +1119,570 @@ describe('Server Fetcher', function () {
             var operation = 'delete';
             fetcher[operation](resource, params, callback(operation, done));
         });
+
+        it('should pass the context of the instance to the fetcher', function (done) {
+            var contextFetcher = new Fetcher({
+                req: {},
+                context: {
+                    lang: 'en-US'
+                }
+            });
+            contextFetcher.read(resource, params, {cache: false}, function (err, data) {
+                expect(data.args.context).to.deep.equal({
+                    cache: false,
+                    context: {
+                        lang: 'en-US'
+                    }
+                });
+                done();
+            });
+        });
+
+        describe('#dehydrate', function () {
+            it('should return a snapshot of successful reads', function (done) {
+                var requestFetcher = new Fetcher({req: {}, dehydrate: true});
+                mockFetcher.meta = {
+                    cursor: 'next',
+                    headers: {
+                        'Set-Cookie': 'secret=1'
+                    }
+                };
+                requestFetcher.read(resource, {id: 1}, config, function (err, data) {
+                    mockFetcher.meta = null;
+                    requestFetcher.read(mockErrorFetcher.name, {statusCode: 404}, function (err) {
+                        expect(err).to.exist;
+                        requestFetcher.read(resource, {id: 2}).then(function (result) {
+                            expect(requestFetcher.dehydrate()).to.deep.equal([{
+                                resource: resource,
+                                params: {id: 1},
+                                data: data,
+                                meta: {cursor: 'next'}
+                            }, {
+                                resource: resource,
+                                params: {id: 2},
+                                data: result.data,
+                                meta: {}
+                            }]);
+                            done();
+                        })['catch'](done);
+                    });
+                });
+            });
+            it('should not record reads unless the dehydrate option is set', function (done) {
+                var requestFetcher = new Fetcher({req: {}});
+                requestFetcher.read(resource, {id: 1}, config, function (err) {
+                    expect(err).to.be.null;
+                    expect(requestFetcher.dehydrate()).to.be.empty;
+                    done();
+                });
+            });
+            it('should not record mutations', function (done) {
+                var requestFetcher = new Fetcher({req: {}, dehydrate: true});
+                requestFetcher.create(resource, params, body, config, function () {
+                    expect(requestFetcher.dehydrate()).to.be.empty;
+                    done();
+                });
+            });
+        });
+
+        describe('with hooks', function () {
+            afterEach(function () {
+                Fetcher.hooks = [];
+            });
+
+            it('should run hooks in order around the fetcher', function (done) {
+                var calls = [];
+                Fetcher.use(function (request, next) {
+                    calls.push('first');
+                    request.params = {id: 'normalized'};
+                    next();
+                });
+                Fetcher.use(function (request, next) {
+                    var callback = request.callback;
+                    calls.push('second');
+                    request.callback = function (err, data, meta) {
+                        calls.push('response');
+                        data.transformed = true;
+                        callback(err, data, meta);
+                    };
+                    next();
+                });
+                fetcher.read(resource, {id: 'raw'}, config, function (err, data) {
+                    expect(err).to.be.null;
+                    expect(calls).to.deep.equal(['first', 'second', 'response']);
+                    expect(data.args.params).to.deep.equal({id: 'normalized'});
+                    expect(data.transformed).to.be.true;
+                    done();
+                });
+            });
+            it('should allow hooks to end the request early', function (done) {
+                Fetcher.use(function (request) {
+                    request.callback({statusCode: 401, message: 'Unauthorized'});
+                });
+                fetcher.read(resource, params, config, function (err, data) {
+                    expect(err.statusCode).to.equal(401);
+                    expect(data).to.be.undefined;
+                    done();
+                });
+            });
+            it('should only accept functions', function () {
+                expect(Fetcher.use.bind(Fetcher, {})).to.throw(Error, 'Hook must be a function');
+            });
+        });
+
+        describe('with promises', function () {
+            var promiseFetcher = {
+                name: 'promise_fetcher',
+                read: function (req, resource, params, config, callback) {
+                    if (params.fail) {
+                        return Promise.reject({statusCode: 404, message: 'Not found'});
+                    }
+                    return Promise.resolve({
+                        data: {id: params.id},
+                        meta: {statusCode: 201}
+                    });
+                }
+            };
+
+            before(function () {
+                Fetcher.registerFetcher(promiseFetcher);
+            });
+
+            after(function () {
+                delete Fetcher.fetchers[promiseFetcher.name];
+            });
+
+            it('should return a promise when no callback is given', function (done) {
+                fetcher.read(resource, params, config).then(function (result) {
+                    expect(result.data.operation.name).to.equal('read');
+                    expect(result.meta).to.deep.equal({});
+                    done();
+                })['catch'](done);
+            });
+            it('should return a promise when no callback and no config are given', function (done) {
+                fetcher.create(resource, params, body).then(function (result) {
+                    expect(result.data.operation.name).to.equal('create');
+                    done();
+                })['catch'](done);
+            });
+            it('should reject the promise on error', function (done) {
+                fetcher['delete'](mockErrorFetcher.name, {statusCode: 404, message: 'Not found'}).then(function () {
+                    done(new Error('Not Expected: promise resolved'));
+                }, function (err) {
+                    expect(err.statusCode).to.equal(404);
+                    expect(err.message).to.equal('Not found');
+                    done();
+                })['catch'](done);
+            });
+            it('should support fetchers returning a promise', function (done) {
+                fetcher.read(promiseFetcher.name, {id: 42}, config, function (err, data, meta) {
+                    expect(err).to.be.null;
+                    expect(data).to.deep.equal({id: 42});
+                    expect(meta).to.deep.equal({statusCode: 201});
+                    done();
+                });
+            });
+            it('should support fetchers returning a rejected promise', function (done) {
+                fetcher.read(promiseFetcher.name, {fail: true}).then(function () {
+                    done(new Error('Not Expected: promise resolved'));
+                }, function (err) {
+                    expect(err.statusCode).to.equal(404);
+                    done();
+                })['catch'](done);
+            });
+        });
+
+        describe('with schemas', function () {
+            var validatedFetcher = {
+                name: 'validated_fetcher',
+                schemas: {
+                    read: {
+                        params: {id: {type: 'integer', required: true}}
+                    },
+                    create: {
+                        params: {id: {type: 'integer'}},
+                        body: {title: {type: 'string', required: true}, draft: {type: 'boolean', 'default': true}}
+                    }
+                },
+                read: function (req, resource, params, config, callback) {
+                    callback(null, {params: params});
+                },
+                create: function (req, resource, params, body, config, callback) {
+                    callback(null, {params: params, body: body});
+                }
+            };
+
+            before(function () {
+                Fetcher.registerFetcher(validatedFetcher);
+            });
+
+            after(function () {
+                delete Fetcher.fetchers[validatedFetcher.name];
+            });
+
+            it('should pass coerced params and body to the fetcher', function (done) {
+                fetcher.create(validatedFetcher.name, {id: '7'}, {title: 'Hello'}, {}, function (err, data) {
+                    expect(err).to.be.null;
+                    expect(data).to.deep.equal({
+                        params: {id: 7},
+                        body: {title: 'Hello', draft: true}
+                    });
+                    done();
+                });
+            });
+            it('should reject invalid requests with the field errors', function (done) {
+                fetcher.create(validatedFetcher.name, {id: 'seven'}, {}, {}, function (err, data) {
+                    expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+                    expect(err.statusCode).to.equal(400);
+                    expect(err.code).to.equal('invalid_request');
+                    expect(err.details.errors).to.deep.equal([
+                        {field: 'params.id', message: 'must be of type integer'},
+                        {field: 'body.title', message: 'is required'}
+                    ]);
+                    expect(data).to.be.undefined;
+                    done();
+                });
+            });
+            it('should respond 400 to invalid requests through the middleware', function (done) {
+                Fetcher.middleware()({
+                    method: 'GET',
+                    path: '/resource/' + validatedFetcher.name + ';id=abc',
+                    query: {}
+                }, {
+                    status: function (code) {
+                        expect(code).to.equal(400);
+                        return this;
+                    },
+                    json: function (body) {
+                        expect(body.code).to.equal('invalid_request');
+                        expect(body.details.errors).to.deep.equal([
+                            {field: 'params.id', message: 'must be of type integer'}
+                        ]);
+                        done();
+                    }
+                }, function () {
+                    done(new Error('Not Expected: next called'));
+                });
+            });
+        });
+
+        describe('with limits', function () {
+            var pending = [],
+                running = 0,
+                makeFetcher = function (name, props) {
+                    var slowFetcher = {
+                        name: name,
+                        read: function (req, resource, params, config, callback) {
+                            running += 1;
+                            pending.push(function () {
+                                running -= 1;
+                                callback(null, {id: params.id});
+                            });
+                        }
+                    };
+                    Object.keys(props || {}).forEach(function (key) {
+                        slowFetcher[key] = props[key];
+                    });
+                    Fetcher.registerFetcher(slowFetcher);
+                    return slowFetcher;
+                };
+
+            afterEach(function () {
+                // complete the fetchers still running, so that they free their slots
+                pending.forEach(function (complete) {
+                    complete();
+                });
+                pending = [];
+                running = 0;
+                Fetcher.maxConcurrent = 0;
+                Fetcher.timeout = 0;
+                delete Fetcher.fetchers.slow_fetcher;
+                delete Fetcher.fetchers.other_slow_fetcher;
+            });
+
+            it('should limit the fetchers of a resource running at the same time', function (done) {
+                var results = [];
+                makeFetcher('slow_fetcher', {maxConcurrent: 1});
+                [1, 2].forEach(function (id) {
+                    fetcher.read('slow_fetcher', {id: id}, {}, function (err, data) {
+                        results.push(data.id);
+                        if (results.length === 2) {
+                            expect(results).to.deep.equal([1, 2]);
+                            done();
+                        }
+                    });
+                });
+                expect(running).to.equal(1);
+                pending.shift()();
+                expect(running).to.equal(1);
+                pending.shift()();
+            });
+            it('should limit the fetchers running at the same time across resources', function (done) {
+                makeFetcher('slow_fetcher');
+                makeFetcher('other_slow_fetcher');
+                Fetcher.maxConcurrent = 1;
+                fetcher.read('slow_fetcher', {id: 1}, {}, function () {});
+                fetcher.read('other_slow_fetcher', {id: 2}, {}, function (err, data) {
+                    expect(data).to.deep.equal({id: 2});
+                    done();
+                });
+                expect(running).to.equal(1);
+                pending.shift()();
+                expect(running).to.equal(1);
+                pending.shift()();
+            });
+            it('should fail fetchers that time out with a 504 error and ignore their late callback', function (done) {
+                var calls = 0;
+                makeFetcher('slow_fetcher', {timeout: 5, maxConcurrent: 1});
+                fetcher.read('slow_fetcher', {id: 1}, {}, function (err, data) {
+                    calls += 1;
+                    expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+                    expect(err.statusCode).to.equal(504);
+                    expect(err.code).to.equal('timeout');
+                    expect(data).to.be.undefined;
+                    // the timed out fetcher keeps its slot until it calls back
+                    expect(pending).to.have.length(1);
+                    fetcher.read('slow_fetcher', {id: 2}, {}, function () {});
+                    expect(pending).to.have.length(1);
+                    pending[0]();
+                    expect(calls).to.equal(1);
+                    expect(pending).to.have.length(2);
+                    done();
+                });
+            });
+            it('should fail requests waiting behind a hung fetcher with a 504 error', function (done) {
+                var errors = [];
+                makeFetcher('slow_fetcher', {timeout: 20, maxConcurrent: 1});
+                [1, 2].forEach(function (id) {
+                    fetcher.read('slow_fetcher', {id: id}, {}, function (err) {
+                        errors.push(err);
+                        if (errors.length === 2) {
+                            expect(errors[0].code).to.equal('timeout');
+                            expect(errors[1].code).to.equal('timeout');
+                            // the waiting request was never run
+                            expect(pending).to.have.length(1);
+                            done();
+                        }
+                    });
+                });
+            });
+            it('should free the slot of the resource when giving up on a global slot', function (done) {
+                makeFetcher('slow_fetcher', {timeout: 10});
+                makeFetcher('other_slow_fetcher', {maxConcurrent: 1, timeout: 10});
+                Fetcher.maxConcurrent = 1;
+                fetcher.read('slow_fetcher', {id: 1}, {}, function () {});
+                fetcher.read('other_slow_fetcher', {id: 2}, {}, function (err) {
+                    expect(err.code).to.equal('timeout');
+                    // the first fetcher completes, the next request of the resource can run
+                    pending.shift()();
+                    Fetcher.maxConcurrent = 0;
+                    fetcher.read('other_slow_fetcher', {id: 3}, {}, function (err, data) {
+                        expect(data).to.deep.equal({id: 3});
+                        done();
+                    });
+                    expect(running).to.equal(1);
+                    pending.shift()();
+                });
+            });
+            it('should pass the deadline sent by the client to the fetcher', function (done) {
+                var start = Date.now();
+                Fetcher.registerFetcher({
+                    name: 'other_slow_fetcher',
+                    read: function (req, resource, params, config, callback) {
+                        expect(config.deadline).to.be.within(start + 1000, Date.now() + 1000);
+                        callback(null, {});
+                    }
+                });
+                Fetcher.middleware()({
+                    method: 'GET',
+                    path: '/resource/other_slow_fetcher',
+                    query: {},
+                    headers: {'x-fetchr-timeout': '1000'}
+                }, {
+                    status: function (code) {
+                        expect(code).to.equal(200);
+                        return this;
+                    },
+                    json: function () {
+                        done();
+                    }
+                }, function () {
+                    done(new Error('Not Expected: next called'));
+                });
+            });
+            it('should fail requests with a 504 error once their deadline is reached', function (done) {
+                makeFetcher('slow_fetcher', {timeout: 1000});
+                Fetcher.middleware()({
+                    method: 'POST',
+                    path: '/',
+                    body: {
+                        requests: {
+                            g0: {resource: 'slow_fetcher', operation: 'read', params: {id: 1}},
+                            g1: {resource: 'slow_fetcher', operation: 'read', params: {id: 2}}
+                        }
+                    },
+                    query: {},
+                    headers: {'x-fetchr-timeout': '5'}
+                }, {
+                    set: function () {
+                        return this;
+                    },
+                    status: function (code) {
+                        expect(code).to.equal(200);
+                        return this;
+                    },
+                    json: function (body) {
+                        expect(body.g0.err.statusCode).to.equal(504);
+                        expect(body.g0.err.code).to.equal('deadline_exceeded');
+                        expect(body.g1.err.code).to.equal('deadline_exceeded');
+                        done();
+                    }
+                }, function () {
+                    done(new Error('Not Expected: next called'));
+                });
+            });
+            it('should not run fetchers whose deadline has passed', function (done) {
+                makeFetcher('slow_fetcher');
+                Fetcher.single({
+                    req: {},
+                    resource: 'slow_fetcher',
+                    operation: 'read',
+                    params: {id: 1},
+                    config: {},
+                    deadline: Date.now() - 1,
+                    callback: function (err) {
+                        expect(err.statusCode).to.equal(504);
+                        expect(err.code).to.equal('deadline_exceeded');
+                        expect(running).to.equal(0);
+                        done();
+                    }
+                });
+            });
+            it('should respond 504 through the middleware when Fetcher.timeout is reached', function (done) {
+                makeFetcher('slow_fetcher');
+                Fetcher.timeout = 5;
+                Fetcher.middleware()({
+                    method: 'GET',
+                    path: '/resource/slow_fetcher;id=1',
+                    query: {}
+                }, {
+                    status: function (code) {
+                        expect(code).to.equal(504);
+                        return this;
+                    },
+                    json: function (body) {
+                        expect(body.code).to.equal('timeout');
+                        done();
+                    }
+                }, function () {
+                    done(new Error('Not Expected: next called'));
+                });
+            });
+        });
+
+        describe('with failing fetchers', function () {
+            var brokenFetcher = {
+                name: 'broken_fetcher',
+                read: function (req, resource, params, config, callback) {
+                    var err = new Error('secret database error');
+                    if (params.statusCode) {
+                        err.statusCode = params.statusCode;
+                    }
+                    if (params.empty) {
+                        return Promise.reject();
+                    }
+                    if (params.reject) {
+                        return Promise.reject(err);
+                    }
+                    if (params.callback) {
+                        return callback(err);
+                    }
+                    throw err;
+                },
+                update: 'not a function'
+            };
+
+            before(function () {
+                Fetcher.registerFetcher(brokenFetcher);
+            });
+
+            after(function () {
+                delete Fetcher.fetchers[brokenFetcher.name];
+            });
+
+            function expectError(statusCode, code, done) {
+                return function (err, data) {
+                    expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+                    expect(err.statusCode).to.equal(statusCode);
+                    expect(err.code).to.equal(code);
+                    expect(err.message).to.not.contain('secret');
+                    expect(data).to.be.undefined;
+                    done();
+                };
+            }
+
+            it('should pass a 404 error for unknown resources', function (done) {
+                fetcher.read('unknown_fetcher', {}, {}, expectError(404, 'unknown_resource', done));
+            });
+            it('should pass a 405 error for unsupported operations', function (done) {
+                fetcher.create(brokenFetcher.name, {}, {}, {}, expectError(405, 'unsupported_operation', done));
+            });
+            it('should pass a 405 error for operations that are not functions', function (done) {
+                fetcher.update(brokenFetcher.name, {}, {}, {}, expectError(405, 'unsupported_operation', done));
+            });
+            it('should pass the error of the fetcher however it reports it', function (done) {
+                var ways = [{}, {reject: true}, {callback: true}],
+                    pending = ways.length;
+                ways.forEach(function (way) {
+                    way.statusCode = 503;
+                    fetcher.read(brokenFetcher.name, way, {}, function (err) {
+                        expect(err).to.not.be.an.instanceof(Fetcher.FetchrError);
+                        expect(err.message).to.equal('secret database error');
+                        expect(err.statusCode).to.equal(503);
+                        pending -= 1;
+                        if (pending === 0) {
+                            done();
+                        }
+                    });
+                });
+            });
+            it('should pass a 500 error when the fetcher rejects without a value', function (done) {
+                fetcher.read(brokenFetcher.name, {empty: true}, {}, expectError(500, 'internal_error', done));
+            });
+            it('should respond with the error status through the middleware', function (done) {
+                var middleware = Fetcher.middleware(),
+                    statusCodes = [],
+                    cases = [
+                        {path: '/resource/unknown_fetcher', statusCode: 404},
+                        {path: '/resource/' + brokenFetcher.name, statusCode: 500},
+                        {path: '/resource/' + brokenFetcher.name + ';reject=true', statusCode: 500},
+                        {path: '/resource/' + brokenFetcher.name + ';callback=true;statusCode=503', statusCode: 503},
+                        {path: '/resource/' + brokenFetcher.name + ';reject=true;statusCode=404', statusCode: 404}
+                    ];
+                cases.forEach(function (testCase) {
+                    middleware({method: 'GET', path: testCase.path, query: {}}, {
+                        status: function (code) {
+                            statusCodes.push(code);
+                            return this;
+                        },
+                        json: function (body) {
+                            expect(body.statusCode).to.equal(testCase.statusCode);
+                            expect(body).to.not.have.property('stack');
+                            if (testCase.statusCode >= 500) {
+                                expect(body.code).to.equal('internal_error');
+                                expect(body.message).to.not.contain('secret');
+                            }
+                            if (statusCodes.length === cases.length) {
+                                expect(statusCodes.sort()).to.deep.equal([404, 404, 500, 500, 503]);
+                                done();
+                            }
+                        }
+                    }, function () {
+                        done(new Error('Not Expected: next called'));
+                    });
+                });
+            });
+        });
     });
 
 });
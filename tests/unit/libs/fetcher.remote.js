@@ -0,0 +1,182 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals before,beforeEach,after,describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    http = require('http'),
+    Fetcher = require('../../../libs/fetcher'),
+    createRemoteFetcher = require('../../../libs/fetcher.remote');
+
+describe('Remote Fetcher', function () {
+    var server,
+        baseUrl,
+        received,
+        nextResponse,
+        fetcher = new Fetcher({
+            req: {
+                headers: {
+                    cookie: 'session=abc',
+                    'x-request-id': 'req-1',
+                    authorization: 'Bearer secret'
+                }
+            },
+            context: {lang: 'en'}
+        });
+
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            var body = '';
+            req.on('data', function (chunk) {
+                body += chunk;
+            });
+            req.on('end', function () {
+                received = {
+                    method: req.method,
+                    url: req.url,
+                    headers: req.headers,
+                    body: JSON.parse(body)
+                };
+                if (nextResponse.delay) {
+                    return;
+                }
+                res.writeHead(nextResponse.statusCode || 200, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(nextResponse.body));
+            });
+        });
+        server.listen(0, '127.0.0.1', function () {
+            baseUrl = 'http://127.0.0.1:' + server.address().port + '/api';
+            Fetcher.registerRemoteFetcher({
+                name: 'remote_users',
+                url: baseUrl,
+                timeout: 50
+            });
+            done();
+        });
+    });
+
+    after(function (done) {
+        delete Fetcher.fetchers.remote_users;
+        server.close(done);
+    });
+
+    beforeEach(function () {
+        received = null;
+        nextResponse = {
+            body: {g0: {data: {id: 1}, meta: {statusCode: 201}}}
+        };
+    });
+
+    it('should require a name and a url', function () {
+        expect(function () {
+            createRemoteFetcher({name: 'remote_users'});
+        }).to.throw(Error, 'Remote fetcher requires a name and a url');
+    });
+
+    it('should forward reads in the requests envelope', function (done) {
+        fetcher.read('remote_users', {id: 1}, {}, function (err, data, meta) {
+            expect(err).to.be.null;
+            expect(data).to.deep.equal({id: 1});
+            expect(meta).to.deep.equal({statusCode: 201});
+            expect(received.method).to.equal('POST');
+            expect(received.url).to.equal('/api');
+            expect(received.body).to.deep.equal({
+                requests: {
+                    g0: {resource: 'remote_users', operation: 'read', params: {id: 1}}
+                },
+                context: {lang: 'en'}
+            });
+            done();
+        });
+    });
+
+    it('should forward the body of mutations', function (done) {
+        fetcher.update('remote_users', {id: 1}, {name: 'a'}, {}, function (err) {
+            expect(err).to.be.null;
+            expect(received.body.requests.g0).to.deep.equal({
+                resource: 'remote_users',
+                operation: 'update',
+                params: {id: 1},
+                body: {name: 'a'}
+            });
+            done();
+        });
+    });
+
+    it('should only forward the selected headers', function (done) {
+        fetcher.read('remote_users', {id: 1}, {}, function () {
+            expect(received.headers.cookie).to.equal('session=abc');
+            expect(received.headers['x-request-id']).to.equal('req-1');
+            expect(received.headers).to.not.have.property('authorization');
+            done();
+        });
+    });
+
+    it('should pass the errors of the remote service to the callback', function (done) {
+        nextResponse = {
+            statusCode: 404,
+            body: {name: 'FetchrError', statusCode: 404, code: 'not_found', message: 'User not found'}
+        };
+        fetcher.read('remote_users', {id: 1}, {}, function (err, data) {
+            expect(err).to.be.an.instanceof(Fetcher.FetchrError);
+            expect(err.statusCode).to.equal(404);
+            expect(err.code).to.equal('not_found');
+            expect(data).to.be.undefined;
+            done();
+        });
+    });
+
+    it('should pass the error envelope of the remote service to the callback', function (done) {
+        nextResponse = {
+            body: {g0: {err: {statusCode: 409, code: 'conflict', message: 'Conflict'}}}
+        };
+        fetcher.create('remote_users', {}, {name: 'a'}, {}, function (err) {
+            expect(err.statusCode).to.equal(409);
+            expect(err.code).to.equal('conflict');
+            done();
+        });
+    });
+
+    it('should pass a 504 error when the remote service times out', function (done) {
+        nextResponse = {delay: true};
+        fetcher.read('remote_users', {id: 1}, {}, function (err) {
+            expect(err.statusCode).to.equal(504);
+            expect(err.code).to.equal('timeout');
+            done();
+        });
+    });
+
+    it('should forward the time left before the deadline', function (done) {
+        var remote = createRemoteFetcher({name: 'remote_users', url: baseUrl});
+        remote.read({}, 'remote_users', {id: 1}, {deadline: Date.now() + 1000}, function (err) {
+            expect(err).to.be.null;
+            expect(Number(received.headers['x-fetchr-timeout'])).to.be.within(1, 1000);
+            done();
+        });
+    });
+
+    it('should pass a 504 error without sending the request once the deadline is reached', function (done) {
+        var remote = createRemoteFetcher({name: 'remote_users', url: baseUrl});
+        remote.read({}, 'remote_users', {id: 1}, {deadline: Date.now() - 1}, function (err) {
+            expect(err.statusCode).to.equal(504);
+            expect(err.code).to.equal('deadline_exceeded');
+            expect(received).to.be.null;
+            done();
+        });
+    });
+
+    it('should pass a 502 error when the remote service is unreachable', function (done) {
+        var unreachable = createRemoteFetcher({
+            name: 'remote_users',
+            url: 'http://127.0.0.1:1/api'
+        });
+        unreachable.read({}, 'remote_users', {}, {}, function (err) {
+            expect(err.statusCode).to.equal(502);
+            expect(err.code).to.equal('bad_gateway');
+            done();
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals beforeEach,afterEach,describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    Cache = require('../../../../libs/util/cache');
+
+describe('Cache', function () {
+    var cache,
+        now,
+        realNow = Date.now;
+
+    beforeEach(function () {
+        now = 1000;
+        Date.now = function () {
+            return now;
+        };
+        cache = new Cache({maxEntries: 2});
+    });
+
+    afterEach(function () {
+        Date.now = realNow;
+    });
+
+    it('should return cached values until they expire', function () {
+        cache.set('a', 1, 100);
+        expect(cache.get('a')).to.equal(1);
+        now += 99;
+        expect(cache.get('a')).to.equal(1);
+        now += 1;
+        expect(cache.get('a')).to.be.undefined;
+        expect(cache._keys).to.be.empty;
+    });
+
+    it('should evict the least recently used entry', function () {
+        cache.set('a', 1, 100);
+        cache.set('b', 2, 100);
+        cache.get('a');
+        cache.set('c', 3, 100);
+        expect(cache.get('a')).to.equal(1);
+        expect(cache.get('b')).to.be.undefined;
+        expect(cache.get('c')).to.equal(3);
+    });
+
+    it('should replace existing entries', function () {
+        cache.set('a', 1, 100);
+        cache.set('a', 2, 100);
+        expect(cache.get('a')).to.equal(2);
+        expect(cache._keys).to.deep.equal(['a']);
+    });
+
+    it('should remove entries', function () {
+        cache.set('a', 1, 100);
+        cache.remove('a').remove('unknown');
+        expect(cache.get('a')).to.be.undefined;
+    });
+
+    it('should remove all entries of a group', function () {
+        cache = new Cache();
+        cache.set('a', 1, 100, 'user');
+        cache.set('b', 2, 100, 'news');
+        cache.set('c', 3, 100, 'user');
+        cache.removeGroup('user');
+        expect(cache.get('a')).to.be.undefined;
+        expect(cache.get('b')).to.equal(2);
+        expect(cache.get('c')).to.be.undefined;
+    });
+
+    it('should clear all entries', function () {
+        cache.set('a', 1, 100);
+        cache.clear();
+        expect(cache.get('a')).to.be.undefined;
+    });
+});
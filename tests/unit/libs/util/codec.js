@@ -0,0 +1,73 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    codec = require('../../../../libs/util/codec');
+
+describe('codec', function () {
+    var params = {
+        id: 'asdf',
+        numericString: '42',
+        booleanString: 'true',
+        quoted: '"quoted"',
+        spaces: 'a b;c=d',
+        page: 2,
+        ratio: 0.5,
+        enabled: false,
+        empty: null,
+        ids: [1, 2, 3],
+        filter: {
+            category: 'news',
+            tags: ['a', 'b']
+        }
+    };
+
+    it('should round-trip params with their types', function () {
+        expect(codec.decodeMatrix(codec.encodeMatrix(params))).to.deep.equal(params);
+    });
+
+    it('should keep plain strings readable', function () {
+        expect(codec.encodeMatrix({id: 'asdf', page: 2, ids: [1, 2]})).to.equal('id=asdf;ids=%5B1%2C2%5D;page=2');
+    });
+
+    it('should quote strings that look like other types', function () {
+        expect(codec.encodeValue('42')).to.equal('"42"');
+        expect(codec.encodeValue('null')).to.equal('"null"');
+        expect(codec.decodeValue(codec.encodeValue('42'))).to.equal('42');
+    });
+
+    it('should skip values that cannot be encoded', function () {
+        var circular = {};
+        circular.self = circular;
+        expect(codec.encodeMatrix({
+            id: 1,
+            fn: function () {},
+            missing: undefined,
+            circular: circular
+        })).to.equal('id=1');
+    });
+
+    it('should decode repeated keys as an array', function () {
+        expect(codec.decodeMatrix('uuids=a;uuids=b;uuids=c;id=x+y')).to.deep.equal({
+            uuids: ['a', 'b', 'c'],
+            id: 'x y'
+        });
+    });
+
+    it('should decode empty matrix', function () {
+        expect(codec.decodeMatrix('')).to.deep.equal({});
+        expect(codec.decodeMatrix(undefined)).to.deep.equal({});
+        expect(codec.decodeMatrix('flag')).to.deep.equal({flag: ''});
+    });
+
+    it('should throw on malformed escape sequences', function () {
+        expect(function () {
+            codec.decodeMatrix('a=%E0%A4%A');
+        }).to.throw(URIError);
+    });
+});
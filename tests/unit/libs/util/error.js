@@ -0,0 +1,65 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    FetchrError = require('../../../../libs/util/error');
+
+describe('FetchrError', function () {
+    it('should be an Error', function () {
+        var err = new FetchrError('User not found', {statusCode: 404, code: 'not_found', details: {id: 1}});
+        expect(err).to.be.an.instanceof(Error);
+        expect(err).to.be.an.instanceof(FetchrError);
+        expect(err.name).to.equal('FetchrError');
+        expect(err.message).to.equal('User not found');
+        expect(err.statusCode).to.equal(404);
+        expect(err.code).to.equal('not_found');
+        expect(err.details).to.deep.equal({id: 1});
+        expect(err.stack).to.be.a('string');
+    });
+
+    it('should have defaults', function () {
+        var err = new FetchrError();
+        expect(err.message).to.equal('request failed');
+        expect(err.statusCode).to.equal(400);
+        expect(err.code).to.be.null;
+        expect(err.details).to.be.null;
+    });
+
+    it('should serialize to JSON without stack trace', function () {
+        var err = new FetchrError('User not found', {statusCode: 404, code: 'not_found'});
+        err.retryable = false;
+        expect(JSON.parse(JSON.stringify(err))).to.deep.equal({
+            name: 'FetchrError',
+            statusCode: 404,
+            code: 'not_found',
+            message: 'User not found',
+            details: null,
+            retryable: false
+        });
+    });
+
+    it('should be rebuilt from its JSON representation', function () {
+        var err = new FetchrError('User not found', {statusCode: 404, code: 'not_found', details: ['id']}),
+            rebuilt = FetchrError.from(JSON.parse(JSON.stringify(err)));
+        expect(rebuilt).to.be.an.instanceof(FetchrError);
+        expect(rebuilt.toJSON()).to.deep.equal(err.toJSON());
+    });
+
+    it('should be built from other errors', function () {
+        var err = new FetchrError('request failed');
+        expect(FetchrError.from(err)).to.equal(err);
+        err = FetchrError.from({statusCode: 500, message: 'Oops', read: 'error'});
+        expect(err).to.be.an.instanceof(FetchrError);
+        expect(err.statusCode).to.equal(500);
+        expect(err.message).to.equal('Oops');
+        expect(err.read).to.equal('error');
+        err = FetchrError.from(new Error('native'));
+        expect(err.message).to.equal('native');
+        expect(err.statusCode).to.equal(400);
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals before,beforeEach,after,describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    mockery = require('mockery'),
+    http,
+    calls,
+    responses;
+
+function response(status, headers) {
+    return {
+        status: status,
+        statusText: 'status ' + status,
+        responseText: '{}',
+        getResponseHeader: function (name) {
+            return (headers || {})[name] || null;
+        }
+    };
+}
+
+describe('http.client', function () {
+    before(function () {
+        mockery.registerMock('xhr', function (options, callback) {
+            var res = responses.shift() || response(200);
+            calls.push({options: options, time: Date.now()});
+            setTimeout(function () {
+                callback(res.status >= 400 ? new Error(res.statusText) : null, res);
+            }, 0);
+            return {
+                abort: function () {}
+            };
+        });
+        mockery.enable({
+            useCleanCache: true,
+            warnOnUnregistered: false
+        });
+        http = require('../../../../libs/util/http.client');
+    });
+
+    after(function () {
+        mockery.disable();
+        mockery.deregisterAll();
+    });
+
+    beforeEach(function () {
+        calls = [];
+        responses = [];
+    });
+
+    it('should retry GET requests failing with a retryable status code', function (done) {
+        responses = [response(503), response(502)];
+        http.get('/api', {}, {retry: {interval: 1, jitter: 0}}, function (err, res) {
+            expect(err).to.be.null;
+            expect(res.status).to.equal(200);
+            expect(calls).to.have.length(3);
+            done();
+        });
+    });
+
+    it('should stop retrying after max_retries', function (done) {
+        responses = [response(503), response(503), response(503)];
+        http.get('/api', {}, {retry: {interval: 1, jitter: 0, max_retries: 1}}, function (err) {
+            expect(err.statusCode).to.equal(503);
+            expect(calls).to.have.length(2);
+            done();
+        });
+    });
+
+    it('should not retry status codes that are not retryable', function (done) {
+        responses = [response(503)];
+        http.get('/api', {}, {retry: {interval: 1, status_codes: [504]}}, function (err) {
+            expect(err.statusCode).to.equal(503);
+            expect(calls).to.have.length(1);
+            done();
+        });
+    });
+
+    it('should not retry POST requests unless unsafeAllowRetry is set', function (done) {
+        responses = [response(503), response(503)];
+        http.post('/api', {}, {}, {retry: {interval: 1}}, function (err) {
+            expect(err.statusCode).to.equal(503);
+            expect(calls).to.have.length(1);
+            responses = [response(503)];
+            calls = [];
+            http.post('/api', {}, {}, {unsafeAllowRetry: true, retry: {interval: 1}}, function (err) {
+                expect(err).to.be.null;
+                expect(calls).to.have.length(2);
+                expect(calls[1].options.body).to.equal('{}');
+                done();
+            });
+        });
+    });
+
+    it('should double the interval with each retry', function (done) {
+        var delays = [];
+        responses = [response(503), response(503)];
+        http.get('/api', {}, {
+            retry: {
+                interval: 5,
+                jitter: 0,
+                on_retry: function (info) {
+                    delays.push(info.delay);
+                    expect(info.statusCode).to.equal(503);
+                    expect(info.attempt).to.equal(delays.length);
+                }
+            }
+        }, function (err) {
+            expect(err).to.be.null;
+            expect(delays).to.deep.equal([5, 10]);
+            done();
+        });
+    });
+
+    it('should stop retrying when on_retry returns false', function (done) {
+        responses = [response(503)];
+        http.get('/api', {}, {retry: {interval: 1, on_retry: function () { return false; }}}, function (err) {
+            expect(err.statusCode).to.equal(503);
+            expect(calls).to.have.length(1);
+            done();
+        });
+    });
+
+    it('should honor Retry-After', function (done) {
+        var delays = [];
+        responses = [response(503, {'Retry-After': '1'})];
+        http.get('/api', {}, {
+            retry: {
+                interval: 1,
+                max_elapsed: 500,
+                on_retry: function (info) {
+                    delays.push(info.delay);
+                }
+            }
+        }, function (err) {
+            // the requested delay exceeds max_elapsed
+            expect(err.statusCode).to.equal(503);
+            expect(delays).to.be.empty;
+            expect(calls).to.have.length(1);
+            done();
+        });
+    });
+
+    it('should not retry when Retry-After exceeds max_interval', function (done) {
+        var start = Date.now();
+        responses = [response(503, {'Retry-After': '3600'})];
+        http.get('/api', {}, {retry: {interval: 1}}, function (err) {
+            expect(err.statusCode).to.equal(503);
+            expect(calls).to.have.length(1);
+            expect(Date.now() - start).to.be.below(1000);
+            done();
+        });
+    });
+
+    it('should send requests with a custom transport', function (done) {
+        var sent = [];
+        http.put('/api', {'content-type': 'application/json'}, {a: 1}, {
+            transport: function (request, callback) {
+                sent.push(request);
+                callback(null, response(200));
+                return {abort: function () {}};
+            }
+        }, function (err, res) {
+            expect(err).to.be.null;
+            expect(res.status).to.equal(200);
+            expect(calls).to.be.empty;
+            expect(sent).to.have.length(1);
+            expect(sent[0].method).to.equal('PUT');
+            expect(sent[0].body).to.equal('{"a":1}');
+            expect(sent[0].headers).to.deep.equal({
+                'Content-Type': 'application/json',
+                'X-Fetchr-Timeout': '3000'
+            });
+            done();
+        });
+    });
+
+    it('should only send the timeout header to relative urls unless sendTimeout is set', function (done) {
+        var sent = [],
+            transport = function (request, callback) {
+                sent.push(request.headers['X-Fetchr-Timeout']);
+                callback(null, response(200));
+                return {abort: function () {}};
+            };
+        http.get('http://api.example.com/api', {}, {transport: transport, timeout: 1000}, function () {
+            http.get('//api.example.com/api', {}, {transport: transport, sendTimeout: true}, function () {
+                http.get('/api', {}, {transport: transport, sendTimeout: false}, function () {
+                    expect(sent).to.deep.equal([undefined, '3000', undefined]);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should throw for unknown transports', function () {
+        expect(function () {
+            http.get('/api', {}, {transport: 'carrier-pigeon'}, function () {});
+        }).to.throw(Error, 'Unknown transport carrier-pigeon');
+    });
+
+    it('should not invoke the callback once aborted', function (done) {
+        var handle;
+        responses = [response(503)];
+        handle = http.get('/api', {}, {retry: {interval: 20}}, function () {
+            done(new Error('Not Expected: callback invoked'));
+        });
+        setTimeout(function () {
+            // abort while waiting to retry
+            handle.abort();
+            setTimeout(function () {
+                expect(calls).to.have.length(1);
+                done();
+            }, 40);
+        }, 5);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals beforeEach,describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    Scheduler = require('../../../../libs/util/scheduler');
+
+describe('Scheduler', function () {
+    var started,
+        done;
+
+    function task(name) {
+        return function (complete) {
+            started.push(name);
+            done[name] = complete;
+        };
+    }
+
+    beforeEach(function () {
+        started = [];
+        done = {};
+    });
+
+    it('should start tasks right away without limit', function () {
+        var scheduler = new Scheduler();
+        scheduler.schedule(task('a'));
+        scheduler.schedule(task('b'));
+        expect(started).to.deep.equal(['a', 'b']);
+    });
+
+    it('should cap the number of running tasks', function () {
+        var scheduler = new Scheduler({maxConcurrent: 2});
+        scheduler.schedule(task('a'));
+        scheduler.schedule(task('b'));
+        scheduler.schedule(task('c'));
+        expect(started).to.deep.equal(['a', 'b']);
+        done.a();
+        done.a();
+        expect(started).to.deep.equal(['a', 'b', 'c']);
+    });
+
+    it('should start waiting tasks by priority, then in order', function () {
+        var scheduler = new Scheduler({maxConcurrent: 1});
+        scheduler.schedule(task('running'));
+        scheduler.schedule(task('low'), 'low');
+        scheduler.schedule(task('normal'));
+        scheduler.schedule(task('high1'), 'high');
+        scheduler.schedule(task('high2'), 'high');
+        scheduler.schedule(task('unknown'), 'urgent');
+        ['running', 'high1', 'high2', 'normal', 'unknown'].forEach(function (name) {
+            done[name]();
+        });
+        expect(started).to.deep.equal(['running', 'high1', 'high2', 'normal', 'unknown', 'low']);
+    });
+
+    it('should cancel waiting tasks', function () {
+        var scheduler = new Scheduler({maxConcurrent: 1}),
+            running = scheduler.schedule(task('a')),
+            waiting = scheduler.schedule(task('b'));
+        expect(scheduler.cancel(running)).to.be.false;
+        expect(scheduler.cancel(waiting)).to.be.true;
+        done.a();
+        expect(started).to.deep.equal(['a']);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    schema = require('../../../../libs/util/schema');
+
+describe('schema', function () {
+    var rules = {
+        id: {type: 'integer', required: true, min: 1},
+        sort: {type: 'string', 'enum': ['asc', 'desc'], 'default': 'asc'},
+        debug: {type: 'boolean'},
+        slug: {type: 'string', pattern: '^[a-z-]+$', maxLength: 10},
+        tags: {type: 'array', items: {type: 'string'}},
+        author: {type: 'object', properties: {name: {type: 'string', required: true}}}
+    };
+
+    it('should coerce values to their declared types', function () {
+        var result = schema.validate(rules, {id: '42', debug: 'false', tags: [1, true]});
+        expect(result.errors).to.deep.equal([]);
+        expect(result.value).to.deep.equal({
+            id: 42,
+            sort: 'asc',
+            debug: false,
+            tags: ['1', 'true']
+        });
+    });
+
+    it('should keep fields that are not declared', function () {
+        var object = {id: 1, extra: {a: 1}},
+            result = schema.validate(rules, object);
+        expect(result.value.extra).to.equal(object.extra);
+        expect(object).to.not.have.property('sort');
+    });
+
+    it('should report errors with the path of the field', function () {
+        var result = schema.validate(rules, {
+            id: 1.5,
+            sort: 'up',
+            slug: 'Not A Slug!',
+            tags: ['a', {}],
+            author: {}
+        }, 'params');
+        expect(result.errors).to.deep.equal([
+            {field: 'params.id', message: 'must be of type integer'},
+            {field: 'params.sort', message: 'must be one of asc, desc'},
+            {field: 'params.slug', message: 'must match ^[a-z-]+$'},
+            {field: 'params.slug', message: 'must have a length of at most 10'},
+            {field: 'params.tags[1]', message: 'must be of type string'},
+            {field: 'params.author.name', message: 'is required'}
+        ]);
+    });
+
+    it('should report missing required fields and out of range numbers', function () {
+        expect(schema.validate(rules, undefined).errors).to.deep.equal([
+            {field: 'id', message: 'is required'}
+        ]);
+        expect(schema.validate(rules, {id: 0}).errors).to.deep.equal([
+            {field: 'id', message: 'must be at least 1'}
+        ]);
+    });
+
+    it('should reject values that are not objects', function () {
+        expect(schema.validate(rules, [1], 'body').errors).to.deep.equal([
+            {field: 'body', message: 'must be of type object'}
+        ]);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals beforeEach,afterEach,describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    fetchTransport = require('../../../../../libs/util/transport/fetch'),
+    Promise = require('es6-promise').Promise;
+
+describe('fetch transport', function () {
+    var originalFetch = global.fetch,
+        calls;
+
+    function respond(status, text, headers) {
+        return function (url, init) {
+            calls.push({url: url, init: init});
+            return Promise.resolve({
+                status: status,
+                statusText: 'status ' + status,
+                headers: {
+                    get: function (name) {
+                        return (headers || {})[name] || null;
+                    }
+                },
+                text: function () {
+                    return Promise.resolve(text);
+                }
+            });
+        };
+    }
+
+    beforeEach(function () {
+        calls = [];
+    });
+
+    afterEach(function () {
+        global.fetch = originalFetch;
+    });
+
+    it('should send the request with fetch', function (done) {
+        global.fetch = respond(200, '{"data":1}', {'Retry-After': '3'});
+        fetchTransport({
+            url: '/api',
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: '{}',
+            timeout: 1000
+        }, function (err, response) {
+            expect(err).to.be.null;
+            expect(calls[0].url).to.equal('/api');
+            expect(calls[0].init.method).to.equal('POST');
+            expect(calls[0].init.body).to.equal('{}');
+            expect(response.status).to.equal(200);
+            expect(response.responseText).to.equal('{"data":1}');
+            expect(response.getResponseHeader('Retry-After')).to.equal('3');
+            done();
+        });
+    });
+
+    it('should pass an error for error status codes', function (done) {
+        global.fetch = respond(503, '{}');
+        fetchTransport({url: '/api', method: 'GET', headers: {}}, function (err, response) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(response.status).to.equal(503);
+            done();
+        });
+    });
+
+    it('should time out like XMLHttpRequest', function (done) {
+        global.fetch = function (url, init) {
+            return new Promise(function (resolve, reject) {
+                init.signal.addEventListener('abort', function () {
+                    reject(new Error('aborted'));
+                });
+            });
+        };
+        fetchTransport({url: '/api', method: 'GET', headers: {}, timeout: 5}, function (err, response) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(response.status).to.equal(0);
+            expect(response.statusText).to.equal('timeout');
+            done();
+        });
+    });
+
+    it('should not invoke the callback once aborted', function (done) {
+        global.fetch = respond(200, '{}');
+        fetchTransport({url: '/api', method: 'GET', headers: {}}, function () {
+            done(new Error('Not Expected: callback invoked'));
+        }).abort();
+        setTimeout(done, 10);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Copyright 2014, Yahoo! Inc.
+ * Copyrights licensed under the New BSD License. See the accompanying LICENSE file for terms.
+ */
+/*jshint expr:true*/
+/*globals before,after,describe,it */
+"use strict";
+
+var expect = require('chai').expect,
+    Fetcher = require('../../../../../libs/fetcher'),
+    FetcherClient = require('../../../../../libs/fetcher.client'),
+    createMiddlewareTransport = require('../../../../../libs/util/transport/middleware'),
+    mockFetcher = require('../../../../mock/fakeFetcher');
+
+describe('middleware transport', function () {
+    var fetcher;
+
+    before(function () {
+        Fetcher.registerFetcher(mockFetcher);
+        fetcher = new FetcherClient({
+            xhrPath: '/api',
+            context: {lang: 'en'},
+            transport: createMiddlewareTransport(Fetcher.middleware({rest: true}), {xhrPath: '/api'})
+        });
+    });
+
+    after(function () {
+        delete Fetcher.fetchers[mockFetcher.name];
+    });
+
+    it('should send reads to the middleware', function (done) {
+        fetcher.read(mockFetcher.name, {id: 42, tags: ['a']}, {}, function (err, data) {
+            expect(err).to.be.null;
+            expect(data.operation.name).to.equal('read');
+            expect(data.args.params).to.deep.equal({id: 42, tags: ['a']});
+            expect(data.args.context.context).to.deep.equal({lang: 'en'});
+            done();
+        });
+    });
+
+    it('should send mutations to the middleware', function (done) {
+        fetcher.create(mockFetcher.name, {id: 42}, {title: 'a'}, {}, function (err, data) {
+            expect(err).to.be.null;
+            expect(data.operation.name).to.equal('create');
+            expect(data.args.params).to.deep.equal({id: 42});
+            done();
+        });
+    });
+
+    it('should send batched requests to the middleware', function (done) {
+        var pending = 2,
+            complete = function (err, data) {
+                expect(err).to.be.null;
+                expect(data.operation.name).to.equal('read');
+                pending -= 1;
+                if (pending === 0) {
+                    done();
+                }
+            };
+        fetcher.read(mockFetcher.name, {id: 1}, {consolidate: true, post_for_read: true}, complete);
+        fetcher.read(mockFetcher.name, {id: 2}, {consolidate: true, post_for_read: true}, complete);
+    });
+
+    it('should pass the errors of the middleware to the callback', function (done) {
+        fetcher.read('unknown_fetcher', {}, {}, function (err, data) {
+            expect(err).to.be.an.instanceof(FetcherClient.FetchrError);
+            expect(err.statusCode).to.equal(404);
+            expect(err.code).to.equal('unknown_resource');
+            expect(data).to.be.undefined;
+            done();
+        });
+    });
+
+    it('should respond 404 to requests the middleware does not handle', function (done) {
+        var transport = createMiddlewareTransport(function (req, res, next) {
+            next();
+        });
+        transport({url: '/api/other', method: 'GET', headers: {}}, function (err, response) {
+            expect(err).to.exist;
+            expect(response.status).to.equal(404);
+            done();
+        });
+    });
+});